@@ -0,0 +1,138 @@
+// ============================================
+// COLONY CLOCK
+// In-game days and hours, derived from sim ticks
+// ============================================
+
+import { CONFIG } from './config.js';
+
+const HOURS_PER_DAY = 24;
+
+/**
+ * Creates empty subscriber lists for time events.
+ * They live on the state, so each game only notifies its own subscribers.
+ */
+export function createClockListeners() {
+    return {
+        hour: [],  // (hour, day, state) on every new hour
+        day: [],   // (day, state) at midnight
+    };
+}
+
+/**
+ * Gets the in-game time at a tick.
+ * Tick 0 is day 1 at CONFIG.startHour.
+ * @returns {{ day: number, hour: number, minute: number }}
+ */
+function getTimeAtTick(tick) {
+    const totalHours = tick / CONFIG.ticksPerHour + CONFIG.startHour;
+    const wholeHours = Math.floor(totalHours);
+    
+    return {
+        day: Math.floor(wholeHours / HOURS_PER_DAY) + 1,
+        hour: wholeHours % HOURS_PER_DAY,
+        minute: Math.floor((totalHours - wholeHours) * 60),
+    };
+}
+
+/**
+ * Gets the current in-game time.
+ * @returns {{ day: number, hour: number, minute: number }}
+ */
+export function getTime(state) {
+    return getTimeAtTick(state.sim.tick);
+}
+
+/**
+ * Gets the current time of day as fractional hours (0-24).
+ */
+function getHourOfDay(state) {
+    const totalHours = state.sim.tick / CONFIG.ticksPerHour + CONFIG.startHour;
+    return totalHours % HOURS_PER_DAY;
+}
+
+/**
+ * Formats the current time for display, e.g. "Day 3, 14:05".
+ */
+export function formatTime(state) {
+    const { day, hour, minute } = getTime(state);
+    const hh = String(hour).padStart(2, '0');
+    const mm = String(minute).padStart(2, '0');
+    return `Day ${day}, ${hh}:${mm}`;
+}
+
+/**
+ * Gets how dark it is: 0 in full daylight, 1 at full night.
+ * Fades in between dusk and nightfall, and out between dawn and day.
+ */
+export function getDarkness(state) {
+    const hour = getHourOfDay(state);
+    const { duskHour, nightStartHour, dawnHour, dayStartHour } = CONFIG;
+    
+    if (hour >= dayStartHour && hour < duskHour) return 0;
+    if (hour >= duskHour && hour < nightStartHour) {
+        return (hour - duskHour) / (nightStartHour - duskHour);
+    }
+    if (hour >= dawnHour && hour < dayStartHour) {
+        return 1 - (hour - dawnHour) / (dayStartHour - dawnHour);
+    }
+    return 1;
+}
+
+/**
+ * Checks if it's night (after dusk, before dawn).
+ */
+export function isNight(state) {
+    const hour = getHourOfDay(state);
+    return hour >= CONFIG.duskHour || hour < CONFIG.dawnHour;
+}
+
+/**
+ * Subscribes to the hour changing in a game. Returns an unsubscribe function.
+ * @param {(hour: number, day: number, state: object) => void} listener
+ */
+export function onHourChanged(state, listener) {
+    const list = state.clockListeners.hour;
+    list.push(listener);
+    return () => removeListener(list, listener);
+}
+
+/**
+ * Subscribes to a new day starting in a game. Returns an unsubscribe function.
+ * @param {(day: number, state: object) => void} listener
+ */
+export function onDayChanged(state, listener) {
+    const list = state.clockListeners.day;
+    list.push(listener);
+    return () => removeListener(list, listener);
+}
+
+function removeListener(list, listener) {
+    const idx = list.indexOf(listener);
+    if (idx >= 0) {
+        list.splice(idx, 1);
+    }
+}
+
+/**
+ * Fires hour/day events if the last tick crossed into a new hour.
+ * Called once per tick, after the tick counter advances.
+ */
+export function updateClock(state) {
+    const tick = state.sim.tick;
+    if (tick === 0) return;
+    
+    const previous = getTimeAtTick(tick - 1);
+    const current = getTimeAtTick(tick);
+    if (current.hour === previous.hour) return;
+    
+    const listeners = state.clockListeners;
+    for (const listener of [...listeners.hour]) {
+        listener(current.hour, current.day, state);
+    }
+    
+    if (current.day !== previous.day) {
+        for (const listener of [...listeners.day]) {
+            listener(current.day, state);
+        }
+    }
+}
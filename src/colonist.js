@@ -4,9 +4,26 @@
 
 import { CONFIG } from './config.js';
 import { getMapCenter, tileToPixel, pixelToTile } from './map.js';
+import { getNeedLabel } from './needs.js';
+import { hasAllMaterials } from './materials.js';
+import { createWorkSettings } from './work.js';
 
 let nextColonistId = 0;
 
+/**
+ * Gets the id the next created colonist will receive.
+ */
+export function getNextColonistId() {
+    return nextColonistId;
+}
+
+/**
+ * Sets the next colonist id (used when restoring a save).
+ */
+export function setNextColonistId(id) {
+    nextColonistId = id;
+}
+
 /**
  * Creates a new colonist entity.
  */
@@ -17,22 +34,27 @@ export function createColonist(name, pixelX, pixelY) {
         x: pixelX,
         y: pixelY,
         task: null,
-        carrying: null,  // { type: 'wood'|'stone', amount: number } or null
+        carrying: null,  // { type: resource type (see RESOURCES), amount: number } or null
         workProgress: 0,
         path: [],        // Array of {x, y} tile positions to follow
         pathIndex: 0,    // Current position in path
         targetX: null,   // Current movement target (pixel coords)
         targetY: null,
         wandering: false, // True if currently wandering (no task, just moving)
+        waitTicks: 0,     // Ticks spent waiting for someone to get out of the way
+        needs: {
+            hunger: 1,    // 1 = fed, 0 = starving
+            rest: 1,      // 1 = rested, 0 = exhausted
+        },
+        work: createWorkSettings(),  // Which work types they do, and at what priority
     };
 }
 
 /**
  * Spawns the starting colonists near map center.
  */
-export function spawnStartingColonists(state) {
+export function spawnStartingColonists(state, count = CONFIG.startingColonists) {
     const center = getMapCenter();
-    const count = CONFIG.startingColonists;
     const names = CONFIG.colonistNames;
     
     for (let i = 0; i < count; i++) {
@@ -79,6 +101,7 @@ export function clearTask(colonist, unassign = false) {
     }
     colonist.task = null;
     colonist.workProgress = 0;
+    colonist.waitTicks = 0;
     colonist.path = [];
     colonist.pathIndex = 0;
     colonist.targetX = null;
@@ -114,11 +137,29 @@ export function clearCarrying(colonist) {
 }
 
 /**
- * Gets colonist status string for UI.
+ * Gets colonist status string for UI, with low needs appended.
  */
 export function getStatusText(colonist) {
+    const activity = getActivityText(colonist);
+    const needs = getNeedLabel(colonist);
+    return needs ? `${activity} (${needs})` : activity;
+}
+
+/**
+ * Gets what the colonist is currently doing.
+ */
+function getActivityText(colonist) {
+    if (colonist.task?.type === 'sleep') {
+        return colonist.workProgress > 0 ? 'Sleeping' : 'Going to bed';
+    }
+    if (colonist.task?.type === 'eat') {
+        return colonist.workProgress > 0 ? 'Eating' : 'Getting food';
+    }
+    if (colonist.task && !hasAllMaterials(colonist.task)) {
+        return 'Fetching materials';
+    }
     if (colonist.carrying) {
-        return `Hauling ${colonist.carrying.type}`;
+        return `Hauling ${colonist.carrying.amount} ${colonist.carrying.type}`;
     }
     if (colonist.task) {
         switch (colonist.task.type) {
@@ -132,6 +173,12 @@ export function getStatusText(colonist) {
                 return `Building ${colonist.task.furnitureId}`;
             case 'demolish':
                 return 'Demolishing';
+            case 'sow':
+                return 'Sowing';
+            case 'harvest':
+                return 'Harvesting';
+            case 'craft':
+                return `Crafting ${colonist.task.recipeId}`;
             case 'haul':
                 return 'Storing';
             default:
@@ -0,0 +1,239 @@
+// ============================================
+// PLAYER COMMANDS
+// Designations shared by mouse input and headless scripts
+// ============================================
+
+import { BUILDINGS, FURNITURE, RESOURCES, TASK_PRIORITIES } from './config.js';
+import {
+    createGatherTask, createBuildTask, createDemolishTask, createFurnitureTask, addTask, setTaskPriority,
+    canGatherAt, canDemolishAt, canBuildAt, canPlaceFurnitureAt, cancelTasksAt,
+} from './tasks.js';
+import { getRoomAtTile, setRoomType } from './rooms.js';
+import { setWorkEnabled, setWorkPriority } from './work.js';
+import { getStockpileAt } from './map.js';
+import { getStockpileZone, setZoneFilter, setZonePriority, renameZone } from './zones.js';
+
+/**
+ * Designates a single tile in the given mode.
+ * Mode is a build mode ('wall', 'demolish', 'furniture_bed', ...) or null to gather.
+ * @param {string} [priority] - task priority (see TASK_PRIORITIES)
+ * Returns the queued task, or null if nothing could be designated there.
+ */
+export function designateTile(state, mode, tileX, tileY, priority = 'normal') {
+    let task = null;
+    
+    if (!mode) {
+        task = createGatherTask(state, tileX, tileY);
+    } else if (mode === 'demolish') {
+        task = createDemolishTask(state, tileX, tileY);
+    } else if (mode.startsWith('furniture_')) {
+        // Furniture must go inside a room
+        const furnitureId = mode.replace('furniture_', '');
+        const room = getRoomAtTile(state, tileX, tileY);
+        if (room) {
+            task = createFurnitureTask(state, tileX, tileY, furnitureId, room);
+        }
+    } else {
+        task = createBuildTask(state, tileX, tileY, mode);
+    }
+    
+    addTask(state, task);
+    if (task) {
+        // Also covers the demolition clearing the tile, if the task replaces something
+        setTaskPriorityAt(state, tileX, tileY, priority);
+    }
+    return task;
+}
+
+/**
+ * Checks if a tile could be designated in the given mode, without queuing anything.
+ */
+export function canDesignateTile(state, mode, tileX, tileY) {
+    if (!mode) return canGatherAt(state, tileX, tileY);
+    if (mode === 'cancel') return state.tasks.some(t => t.x === tileX && t.y === tileY);
+    if (mode === 'demolish') return canDemolishAt(state, tileX, tileY);
+    if (mode.startsWith('furniture_')) {
+        const room = getRoomAtTile(state, tileX, tileY);
+        return canPlaceFurnitureAt(state, tileX, tileY, mode.replace('furniture_', ''), room);
+    }
+    return canBuildAt(state, tileX, tileY, mode);
+}
+
+/**
+ * Gets the cost of designating one tile in a mode.
+ */
+export function getDesignationCost(mode) {
+    if (!mode) return {};
+    if (mode.startsWith('furniture_')) {
+        return FURNITURE[mode.replace('furniture_', '')]?.cost || {};
+    }
+    return BUILDINGS[mode]?.cost || {};
+}
+
+/**
+ * Gets how a mode designates when dragged: 'fill' takes every tile in the rectangle,
+ * 'outline' only its border (a line when it's one tile wide), 'single' just the end tile.
+ * Gathering drags as a filled rectangle, furniture one piece at a time.
+ */
+export function getDragShape(mode) {
+    if (!mode) return 'fill';
+    if (mode.startsWith('furniture_')) return 'single';
+    return BUILDINGS[mode]?.drag || 'single';
+}
+
+/**
+ * Gets the tiles covered by dragging from one tile to another in a mode.
+ */
+export function getDragTiles(mode, start, end) {
+    const shape = getDragShape(mode);
+    if (shape === 'single') return [{ x: end.x, y: end.y }];
+    
+    const minX = Math.min(start.x, end.x);
+    const maxX = Math.max(start.x, end.x);
+    const minY = Math.min(start.y, end.y);
+    const maxY = Math.max(start.y, end.y);
+    
+    const tiles = [];
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const onBorder = x === minX || x === maxX || y === minY || y === maxY;
+            if (shape === 'outline' && !onBorder) continue;
+            tiles.push({ x, y });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Previews designating a set of tiles.
+ * The cost is what colonists will have to deliver to the valid tiles;
+ * blueprints don't need it to be in stock yet.
+ * @returns {{ tiles: { x, y, valid }[], count: number, cost: object }}
+ */
+export function previewDesignation(state, mode, tiles) {
+    const tileCost = getDesignationCost(mode);
+    const cost = {};
+    let count = 0;
+    
+    const preview = tiles.map(({ x, y }) => {
+        const valid = canDesignateTile(state, mode, x, y);
+        if (valid) {
+            for (const [type, amount] of Object.entries(tileCost)) {
+                cost[type] = (cost[type] || 0) + amount;
+            }
+            count++;
+        }
+        return { x, y, valid };
+    });
+    
+    return { tiles: preview, count, cost };
+}
+
+/**
+ * Designates every tile of a drag from one tile to another.
+ * Tiles that already have a task are given the new priority instead.
+ * In cancel mode, the tasks in the area are cancelled.
+ * Returns the number of tiles affected.
+ */
+export function designateArea(state, mode, start, end, priority = 'normal') {
+    let affected = 0;
+    for (const { x, y } of getDragTiles(mode, start, end)) {
+        if (mode === 'cancel') {
+            if (cancelTasksAt(state, x, y)) affected++;
+        } else if (designateTile(state, mode, x, y, priority) || setTaskPriorityAt(state, x, y, priority)) {
+            affected++;
+        }
+    }
+    return affected;
+}
+
+/**
+ * Sets the priority of the player-designated tasks on a tile.
+ * Returns the number of tasks changed.
+ */
+export function setTaskPriorityAt(state, tileX, tileY, priority) {
+    if (!TASK_PRIORITIES[priority]) return 0;
+    
+    let changed = 0;
+    for (const task of state.tasks) {
+        if (task.x !== tileX || task.y !== tileY || task.priority === priority) continue;
+        if (!isDesignatedTask(task)) continue;
+        setTaskPriority(task, priority);
+        changed++;
+    }
+    return changed;
+}
+
+/**
+ * Checks if a task comes from a player designation (not hauling, farming or bills).
+ */
+function isDesignatedTask(task) {
+    return ['gather', 'build', 'demolish', 'furniture'].includes(task.type);
+}
+
+/**
+ * Sets the type of the room containing a tile.
+ * Returns true if there was a room there.
+ */
+export function setRoomTypeAt(state, tileX, tileY, type) {
+    const room = getRoomAtTile(state, tileX, tileY);
+    if (!room) return false;
+    setRoomType(room, type);
+    return true;
+}
+
+/**
+ * Gets the zone of the stockpile on a tile, or null.
+ */
+export function getZoneAt(state, tileX, tileY) {
+    const stockpile = getStockpileAt(state, tileX, tileY);
+    return stockpile ? getStockpileZone(state, stockpile) : null;
+}
+
+/**
+ * Allows or disallows a resource type in the stockpile zone on a tile.
+ * Stock the zone no longer takes gets moved out to one that does.
+ * Returns true if there was a stockpile there.
+ */
+export function setStockpileFilter(state, tileX, tileY, resourceType, allowed) {
+    const zone = getZoneAt(state, tileX, tileY);
+    if (!zone || !RESOURCES[resourceType]) return false;
+    setZoneFilter(zone, resourceType, allowed);
+    return true;
+}
+
+/**
+ * Changes the name and/or priority of the stockpile zone on a tile.
+ * @param {{ name?: string, priority?: string }} settings - fields to change
+ * Returns true if there was a stockpile there.
+ */
+export function setZoneSettingsAt(state, tileX, tileY, settings) {
+    const zone = getZoneAt(state, tileX, tileY);
+    if (!zone) return false;
+    
+    if (settings.name !== undefined) {
+        renameZone(zone, settings.name);
+    }
+    if (settings.priority !== undefined) {
+        setZonePriority(zone, settings.priority);
+    }
+    return true;
+}
+
+/**
+ * Changes one cell of a colonist's work table.
+ * @param {{ enabled?: boolean, priority?: number }} setting - fields to change
+ * Returns true if the colonist and work type exist.
+ */
+export function setColonistWork(state, colonistId, workType, setting) {
+    const colonist = state.colonists.find(c => c.id === colonistId);
+    if (!colonist || !colonist.work[workType]) return false;
+    
+    if (setting.enabled !== undefined) {
+        setWorkEnabled(colonist, workType, setting.enabled);
+    }
+    if (setting.priority !== undefined) {
+        setWorkPriority(colonist, workType, setting.priority);
+    }
+    return true;
+}
@@ -9,46 +9,133 @@ export const CONFIG = {
     mapHeight: 22,
     
     // Colonist settings
-    colonistSpeed: 2,
+    colonistSpeed: 2,     // Pixels per tick
+    carryCapacity: 10,    // Max items carried at once
+    pickupRadius: 4,      // Tiles a hauler looks around for more of the same item to pick up
     startingColonists: 3,
     colonistNames: ['Ada', 'Bjorn', 'Celia', 'Dmitri', 'Elena', 'Fynn'],
     
-    // Work timings (in frames, ~60fps)
+    // Simulation clock
+    ticksPerSecond: 60,   // Fixed sim rate, independent of display refresh
+    speeds: [1, 2, 3],    // Available speed multipliers
+    maxFrameTime: 250,    // Max ms of sim time to catch up per rendered frame
+    
+    // Day/night cycle
+    ticksPerHour: 600,        // 10 seconds per in-game hour at 1x
+    startHour: 8,             // Colony starts in the morning of day 1
+    duskHour: 19,             // Darkness starts fading in
+    nightStartHour: 21,       // Fully dark
+    dawnHour: 5,              // Darkness starts fading out
+    dayStartHour: 7,          // Fully light
+    nightDarkness: 0.55,      // Overlay opacity at full night
+    nightRestThreshold: 0.8,  // At night, colonists go to bed below this rest
+    
+    // Work timings (in sim ticks, 60 per second at 1x)
     gatherTime: 60,
     buildTime: 45,
     demolishTime: 30,
     
+    // Colonist needs (1 = satisfied, 0 = empty)
+    hungerDecay: 0.0001,      // Per tick (~3 min from full to empty at 1x)
+    restDecay: 0.00007,       // Per tick (~4 min from full to empty at 1x)
+    needThreshold: 0.3,       // Below this, colonists go eat/sleep instead of new work
+    needCritical: 0.1,        // Below this, needs interrupt work already in progress
+    eatTime: 60,              // Ticks to eat one food
+    foodNutrition: 0.6,       // Hunger restored per food eaten
+    bedRestRate: 0.001,       // Rest restored per tick asleep in a bed
+    groundRestRate: 0.0004,   // Rest restored per tick asleep on the ground
+    
+    // Farming
+    sowTime: 40,              // Ticks to sow one farm tile
+    harvestTime: 50,          // Ticks to harvest one mature crop
+    cropGrowTime: 7200,       // Ticks from sowing to harvest (~2 min at 1x)
+    cropYield: 2,             // Food per harvested crop
+    
+    // Work priorities (1 = do first, workPriorities = do last)
+    workPriorities: 4,
+    defaultWorkPriority: 3,
+    
     // Idle wandering
-    wanderChance: 0.005,  // Chance per frame to wander when idle (~once every 3 sec)
+    wanderChance: 0.005,  // Chance per tick to wander when idle (~once every 3 sec)
     wanderRadius: 3,      // Max tiles to wander from current position
     
+    // Getting out of each other's way
+    maxBlockedWait: 90,   // Ticks to wait for someone to clear a tile before squeezing past or giving up
+    maxDetour: 4,         // Extra tiles a colonist will walk to get around someone working in their way
+    
     // Map generation
     treeChance: 0.12,
     rockChance: 0.05,  // 0.17 - 0.12 = 0.05 additional chance
+    berryChance: 0.02, // Wild berry bushes, a starter food source
     startingAreaRadius: 2,
 };
 
+// Resource definitions
+// stackSize: most of the resource one stack holds - a ground stack or a stockpile tile
+export const RESOURCES = {
+    wood: {
+        name: 'Wood',
+        icon: '🪵',
+        color: '#8b5a2b',
+        stackSize: 50,
+    },
+    stone: {
+        name: 'Stone',
+        icon: '🪨',
+        color: '#7a7a8a',
+        stackSize: 40,
+    },
+    food: {
+        name: 'Food',
+        icon: '🍎',
+        color: '#c0392b',
+        stackSize: 30,
+    },
+    planks: {
+        name: 'Planks',
+        icon: '🟫',
+        color: '#c8a165',
+        stackSize: 50,
+    },
+};
+
 // Building definitions
+// drag: shape designated by click-and-drag - 'fill', 'outline' or 'single' (see commands.js)
 export const BUILDINGS = {
     wall: {
         cost: { stone: 1 },
         tile: 'WALL',
+        drag: 'outline',  // Drags as a line or hollow rectangle
     },
     floor: {
         cost: { wood: 1 },
         tile: 'FLOOR',
+        drag: 'fill',
     },
     door: {
         cost: { wood: 2 },
         tile: 'DOOR',
+        drag: 'single',
     },
     stockpile: {
         cost: {},
         tile: 'STOCKPILE',
+        drag: 'fill',
+    },
+    farm: {
+        cost: {},
+        tile: 'FARM',
+        drag: 'fill',
     },
     demolish: {
         cost: {},
         tile: null,  // Special - removes tile
+        drag: 'fill',
+    },
+    cancel: {
+        cost: {},
+        tile: null,  // Special - cancels queued tasks, see cancelTasksAt
+        drag: 'fill',
     },
 };
 
@@ -98,3 +185,99 @@ export const FURNITURE = {
         isStorage: true,
     },
 };
+
+// Production recipes, crafted at furniture through bills
+export const RECIPES = {
+    planks: {
+        name: 'Planks',
+        station: 'workbench',  // FURNITURE id that crafts this
+        inputs: { wood: 2 },
+        output: { type: 'planks', amount: 3 },
+        workTime: 120,
+    },
+};
+
+// Bill repeat modes
+export const BILL_MODES = {
+    count: {
+        name: 'Make X',
+    },
+    until: {
+        name: 'Until X in stock',
+    },
+    forever: {
+        name: 'Forever',
+    },
+};
+
+// Work types colonists can be assigned to, and the task types each covers
+export const WORK_TYPES = {
+    gather: {
+        name: 'Gather',
+        tasks: ['gather'],
+    },
+    haul: {
+        name: 'Haul',
+        tasks: ['pickup'],
+    },
+    build: {
+        name: 'Build',
+        tasks: ['build'],
+    },
+    demolish: {
+        name: 'Demolish',
+        tasks: ['demolish'],
+    },
+    furniture: {
+        name: 'Furniture',
+        tasks: ['furniture'],
+    },
+    craft: {
+        name: 'Craft',
+        tasks: ['craft'],
+    },
+    farm: {
+        name: 'Farm',
+        tasks: ['sow', 'harvest'],
+    },
+};
+
+// Player-set task priorities, most important first (rank 0)
+export const TASK_PRIORITIES = {
+    urgent: {
+        name: 'Urgent',
+        icon: '❗',
+        rank: 0,
+    },
+    normal: {
+        name: 'Normal',
+        icon: '',
+        rank: 1,
+    },
+    low: {
+        name: 'Low',
+        icon: '⬇',
+        rank: 2,
+    },
+};
+
+// Stockpile zone priorities - lower rank is filled first.
+// Items in a zone get moved up whenever a better-ranked zone has room for them.
+export const ZONE_PRIORITIES = {
+    critical: {
+        name: 'Critical',
+        rank: 0,
+    },
+    preferred: {
+        name: 'Preferred',
+        rank: 1,
+    },
+    normal: {
+        name: 'Normal',
+        rank: 2,
+    },
+    low: {
+        name: 'Low',
+        rank: 3,
+    },
+};
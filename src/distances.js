@@ -0,0 +1,136 @@
+// ============================================
+// WALKING DISTANCES
+// Dijkstra over the map, measuring the true walking cost from one or
+// more source tiles to many candidates in a single pass
+// ============================================
+
+import { CONFIG } from './config.js';
+import { createHeap, clearHeap, heapPush, heapPop } from './heap.js';
+import { STEPS, canStep, getStepCost, isWalkable, getWalkableAdjacent } from './pathfinding.js';
+
+// Per-tile search state, indexed by y * mapWidth + x.
+// Reused between searches - an entry only counts if its stamp matches the current search.
+let search = null;
+
+/**
+ * Gets the search buffers for the current map size, ready for a new search.
+ */
+function startSearch() {
+    const size = CONFIG.mapWidth * CONFIG.mapHeight;
+    if (!search || search.size !== size) {
+        search = {
+            size,
+            id: 0,
+            seen: new Uint32Array(size),    // Search id that last reached the tile
+            closed: new Uint32Array(size),  // Search id that last settled the tile
+            cost: new Float64Array(size),   // Walking cost from the nearest source
+            open: createHeap(),             // Tile indices by cost
+        };
+    }
+    search.id++;
+    clearHeap(search.open);
+    return search;
+}
+
+/**
+ * Measures the walking cost from the nearest source tile to each target.
+ * A target is a list of tiles (e.g. the spots a task can be worked from)
+ * and is as far as its closest tile. Costs match findPath's.
+ * The search stops once every target is measured.
+ * @param {Array<{x, y}>} sources - tiles to measure from
+ * @param {Array<Array<{x, y}>>} targets
+ * @returns {number[]} cost per target, Infinity where it can't be reached
+ */
+export function measureWalkDistances(state, sources, targets) {
+    const distances = targets.map(() => Infinity);
+    
+    // Which targets each tile belongs to
+    const width = CONFIG.mapWidth;
+    const targetsAt = new Map();
+    for (const [i, tiles] of targets.entries()) {
+        for (const tile of tiles) {
+            const idx = tile.y * width + tile.x;
+            if (!targetsAt.has(idx)) {
+                targetsAt.set(idx, []);
+            }
+            targetsAt.get(idx).push(i);
+        }
+    }
+    let remaining = targets.filter(tiles => tiles.length > 0).length;
+    if (remaining === 0) return distances;
+    
+    const { id, seen, closed, cost, open } = startSearch();
+    for (const source of sources) {
+        const idx = source.y * width + source.x;
+        seen[idx] = id;
+        cost[idx] = 0;
+        heapPush(open, idx, 0);
+    }
+    
+    while (open.size > 0 && remaining > 0) {
+        const current = heapPop(open);
+        
+        // Skip stale entries left behind when a tile was reached more cheaply
+        if (closed[current] === id) continue;
+        closed[current] = id;
+        
+        for (const i of targetsAt.get(current) || []) {
+            if (distances[i] === Infinity) {
+                distances[i] = cost[current];
+                remaining--;
+            }
+        }
+        
+        const x = current % width;
+        const y = (current - x) / width;
+        for (const step of STEPS) {
+            const nx = x + step.x;
+            const ny = y + step.y;
+            if (!canStep(state, x, y, nx, ny)) continue;
+            
+            const neighbor = ny * width + nx;
+            if (closed[neighbor] === id) continue;
+            
+            const next = cost[current] + getStepCost(state, x, y, nx, ny, step.length);
+            if (seen[neighbor] === id && next >= cost[neighbor]) continue;
+            seen[neighbor] = id;
+            cost[neighbor] = next;
+            heapPush(open, neighbor, next);
+        }
+    }
+    
+    return distances;
+}
+
+/**
+ * Gets the tiles a colonist can stand on to reach a tile: the tile itself
+ * if walkable, otherwise the walkable tiles beside it (as findPath does).
+ */
+export function getApproachTiles(state, x, y) {
+    return isWalkable(state, x, y) ? [{ x, y }] : getWalkableAdjacent(state, x, y);
+}
+
+/**
+ * Picks the candidate with the shortest walk from (fromX, fromY).
+ * Candidates are anything with x and y, approached as in getApproachTiles.
+ * Returns the candidate, or null if none can be reached.
+ */
+export function findClosestByWalk(state, candidates, fromX, fromY) {
+    if (candidates.length === 0) return null;
+    
+    const distances = measureWalkDistances(
+        state,
+        [{ x: fromX, y: fromY }],
+        candidates.map(c => getApproachTiles(state, c.x, c.y))
+    );
+    
+    let best = null;
+    let bestDist = Infinity;
+    for (const [i, candidate] of candidates.entries()) {
+        if (distances[i] < bestDist) {
+            bestDist = distances[i];
+            best = candidate;
+        }
+    }
+    return best;
+}
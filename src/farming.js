@@ -0,0 +1,41 @@
+// ============================================
+// FARMING SYSTEM
+// Crop growth and sow/harvest task scheduling
+// ============================================
+
+import { CONFIG } from './config.js';
+import { createSowTask, createHarvestTask, addTask } from './tasks.js';
+
+/**
+ * Number of visible growth stages before a crop is harvestable.
+ */
+export const CROP_STAGES = 3;
+
+/**
+ * Grows crops and queues sow/harvest work.
+ * Called once per tick, before tasks are assigned.
+ */
+export function updateFarms(state) {
+    for (const farm of state.farms) {
+        if (!farm.sown) {
+            addTask(state, createSowTask(state, farm));
+            continue;
+        }
+        
+        if (farm.growth < 1) {
+            farm.growth = Math.min(1, farm.growth + 1 / CONFIG.cropGrowTime);
+        } else {
+            addTask(state, createHarvestTask(state, farm));
+        }
+    }
+}
+
+/**
+ * Gets a crop's growth stage for rendering.
+ * Returns -1 when unsown, 0 to CROP_STAGES - 1 while growing, CROP_STAGES when mature.
+ */
+export function getCropStage(farm) {
+    if (!farm.sown) return -1;
+    if (farm.growth >= 1) return CROP_STAGES;
+    return Math.floor(farm.growth * CROP_STAGES);
+}
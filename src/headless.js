@@ -0,0 +1,155 @@
+// ============================================
+// HEADLESS SIMULATION
+// Runs the colony without DOM or canvas (Node, workers, tests)
+// ============================================
+
+import { CONFIG, BUILDINGS } from './config.js';
+import { createState, getResources } from './state.js';
+import { generateMap } from './map.js';
+import { spawnStartingColonists } from './colonist.js';
+import { stepSimulation } from './simulation.js';
+import { designateTile, setRoomTypeAt, setColonistWork, setTaskPriorityAt, setStockpileFilter, setZoneSettingsAt } from './commands.js';
+import { cancelTasksAt } from './tasks.js';
+
+/**
+ * Creates a new colony on a seeded map.
+ * @param {object} [options] - { width, height, colonists } to override the map size
+ *   and starting colonist count. The map size lives in CONFIG, so it sticks for later games.
+ */
+export function createHeadlessGame(seed, options = {}) {
+    if (options.width) CONFIG.mapWidth = options.width;
+    if (options.height) CONFIG.mapHeight = options.height;
+    
+    const state = createState();
+    generateMap(state, seed);
+    spawnStartingColonists(state, options.colonists);
+    return state;
+}
+
+/**
+ * Gets the tiles covered by a command: a single tile at (x, y),
+ * or a width x height rectangle starting there.
+ */
+function getCommandTiles(command) {
+    const width = command.width || 1;
+    const height = command.height || 1;
+    const tiles = [];
+    for (let dy = 0; dy < height; dy++) {
+        for (let dx = 0; dx < width; dx++) {
+            tiles.push({ x: command.x + dx, y: command.y + dy });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Converts a command action to the build mode used by designateTile.
+ * Returns undefined for unknown actions.
+ */
+function getDesignationMode(command) {
+    if (command.action === 'gather') return null;
+    if (command.action === 'demolish') return 'demolish';
+    if (command.action === 'build' && BUILDINGS[command.type]) return command.type;
+    if (command.action === 'furniture') return `furniture_${command.type}`;
+    return undefined;
+}
+
+/**
+ * Applies one scripted player command.
+ * Commands: gather, build, demolish, furniture (with x, y, optional width/height and priority),
+ * priority (re-prioritizes tasks in x, y, width, height), cancel (cancels tasks in x, y, width, height),
+ * roomType (with x, y and type), filter (with x, y, resource and allowed),
+ * zone (with x, y and name and/or priority, for the stockpile zone on that tile)
+ * and work (with colonist, workType, enabled and/or priority).
+ * Returns the number of tiles the command affected.
+ */
+export function runCommand(state, command) {
+    if (command.action === 'roomType') {
+        return setRoomTypeAt(state, command.x, command.y, command.type) ? 1 : 0;
+    }
+    if (command.action === 'filter') {
+        return setStockpileFilter(state, command.x, command.y, command.resource, command.allowed) ? 1 : 0;
+    }
+    if (command.action === 'zone') {
+        return setZoneSettingsAt(state, command.x, command.y, { name: command.name, priority: command.priority }) ? 1 : 0;
+    }
+    if (command.action === 'work') {
+        const { colonist, workType, enabled, priority } = command;
+        return setColonistWork(state, colonist, workType, { enabled, priority }) ? 1 : 0;
+    }
+    
+    if (command.action === 'cancel') {
+        let cancelled = 0;
+        for (const { x, y } of getCommandTiles(command)) {
+            cancelled += cancelTasksAt(state, x, y);
+        }
+        return cancelled;
+    }
+    if (command.action === 'priority') {
+        let changed = 0;
+        for (const { x, y } of getCommandTiles(command)) {
+            changed += setTaskPriorityAt(state, x, y, command.priority);
+        }
+        return changed;
+    }
+    
+    const mode = getDesignationMode(command);
+    if (mode === undefined) return 0;
+    
+    let applied = 0;
+    for (const { x, y } of getCommandTiles(command)) {
+        if (designateTile(state, mode, x, y, command.priority)) applied++;
+    }
+    return applied;
+}
+
+/**
+ * Collects colony statistics as plain JSON-safe data.
+ */
+export function collectStats(state) {
+    const ticks = state.sim.tick;
+    
+    return {
+        seed: state.rng.seed,
+        ticks,
+        resources: getResources(state),
+        tasksCompleted: { ...state.stats.tasksCompleted },
+        tasksQueued: state.tasks.length,
+        colonists: state.colonists.map(colonist => {
+            const idleTicks = state.stats.idleTicks[colonist.id] || 0;
+            return {
+                name: colonist.name,
+                idleTicks,
+                idleRatio: ticks > 0 ? Number((idleTicks / ticks).toFixed(3)) : 0,
+            };
+        }),
+    };
+}
+
+/**
+ * Runs a scenario: { seed, ticks, map?: { width, height }, colonists?, commands: [{ tick, action, ... }] }.
+ * Commands run at the start of their tick, in listed order.
+ * Returns collectStats() for the final state plus per-command results.
+ */
+export function runScenario(scenario) {
+    const state = createHeadlessGame(scenario.seed, { ...scenario.map, colonists: scenario.colonists });
+    const commands = [...(scenario.commands || [])]
+        .map((command, index) => ({ ...command, index }))
+        .sort((a, b) => (a.tick || 0) - (b.tick || 0) || a.index - b.index);
+    
+    const results = [];
+    let next = 0;
+    
+    for (let tick = 0; tick < scenario.ticks; tick++) {
+        while (next < commands.length && (commands[next].tick || 0) <= tick) {
+            const command = commands[next++];
+            results.push({ index: command.index, tick, applied: runCommand(state, command) });
+        }
+        stepSimulation(state);
+    }
+    
+    return {
+        ...collectStats(state),
+        commands: results.sort((a, b) => a.index - b.index),
+    };
+}
@@ -0,0 +1,120 @@
+// ============================================
+// BINARY HEAP
+// Min-priority queue of integer items, backed by typed arrays
+// ============================================
+
+const INITIAL_CAPACITY = 256;
+
+/**
+ * Creates an empty heap.
+ * Items with equal keys come out by their tie-break value, lowest first
+ * (the order they were pushed unless the caller supplies one).
+ */
+export function createHeap(capacity = INITIAL_CAPACITY) {
+    return {
+        items: new Int32Array(capacity),
+        keys: new Float64Array(capacity),
+        order: new Float64Array(capacity),  // Tie-break between equal keys
+        size: 0,
+        pushed: 0,
+    };
+}
+
+/**
+ * Empties a heap, keeping its storage for reuse.
+ */
+export function clearHeap(heap) {
+    heap.size = 0;
+    heap.pushed = 0;
+}
+
+/**
+ * Checks if entry a should come out before entry b.
+ */
+function isBefore(heap, a, b) {
+    const { keys, order } = heap;
+    return keys[a] < keys[b] || (keys[a] === keys[b] && order[a] < order[b]);
+}
+
+/**
+ * Swaps two heap entries.
+ */
+function swap(heap, a, b) {
+    const { items, keys, order } = heap;
+    const item = items[a];
+    const key = keys[a];
+    const seq = order[a];
+    items[a] = items[b];
+    keys[a] = keys[b];
+    order[a] = order[b];
+    items[b] = item;
+    keys[b] = key;
+    order[b] = seq;
+}
+
+/**
+ * Doubles a heap's storage.
+ */
+function grow(heap) {
+    const capacity = heap.items.length * 2;
+    const items = new Int32Array(capacity);
+    const keys = new Float64Array(capacity);
+    const order = new Float64Array(capacity);
+    items.set(heap.items);
+    keys.set(heap.keys);
+    order.set(heap.order);
+    heap.items = items;
+    heap.keys = keys;
+    heap.order = order;
+}
+
+/**
+ * Adds an item with a priority key (lower comes out first).
+ * @param {number} [tieBreak] - orders items with equal keys, defaults to push order
+ */
+export function heapPush(heap, item, key, tieBreak = heap.pushed) {
+    if (heap.size === heap.items.length) {
+        grow(heap);
+    }
+    
+    let i = heap.size++;
+    heap.items[i] = item;
+    heap.keys[i] = key;
+    heap.order[i] = tieBreak;
+    heap.pushed++;
+    
+    // Sift up
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!isBefore(heap, i, parent)) break;
+        swap(heap, i, parent);
+        i = parent;
+    }
+}
+
+/**
+ * Removes and returns the item with the lowest key, or -1 if the heap is empty.
+ */
+export function heapPop(heap) {
+    if (heap.size === 0) return -1;
+    
+    const top = heap.items[0];
+    heap.size--;
+    if (heap.size > 0) {
+        swap(heap, 0, heap.size);
+        
+        // Sift down
+        let i = 0;
+        while (true) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.size && isBefore(heap, left, smallest)) smallest = left;
+            if (right < heap.size && isBefore(heap, right, smallest)) smallest = right;
+            if (smallest === i) break;
+            swap(heap, i, smallest);
+            i = smallest;
+        }
+    }
+    return top;
+}
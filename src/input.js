@@ -2,9 +2,16 @@
 // INPUT HANDLING
 // ============================================
 
-import { CONFIG, FURNITURE } from './config.js';
-import { createGatherTask, createBuildTask, createDemolishTask, createFurnitureTask, addTask } from './tasks.js';
-import { getRoomAtTile } from './rooms.js';
+import { CONFIG } from './config.js';
+import { designateTile, designateArea, setTaskPriorityAt, setRoomTypeAt, canDesignateTile, getZoneAt } from './commands.js';
+import { cancelTasksAt, cancelTask, requeueTask, setTaskPriority } from './tasks.js';
+import { getRoomAtTile, setRoomType } from './rooms.js';
+
+// Max player actions kept for undo
+const HISTORY_LIMIT = 100;
+
+// How long undo/redo notices stay in the status bar (ms)
+const NOTICE_DURATION = 3000;
 
 /**
  * Sets up all input event listeners.
@@ -49,44 +56,66 @@ function setupMouseLeave(canvas, state) {
 }
 
 /**
- * Click - gather or build depending on mode.
+ * Click or drag - gather or build depending on mode.
+ * Pressing and releasing on the same tile is a click, anything else designates the dragged area.
  */
 function setupClick(canvas, state) {
-    canvas.addEventListener('click', (e) => {
-        const tile = getTileFromEvent(canvas, e);
-        handleClick(state, tile.x, tile.y);
+    canvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        state.ui.dragStart = getTileFromEvent(canvas, e);
+    });
+    
+    canvas.addEventListener('mouseup', (e) => {
+        if (e.button !== 0 || !state.ui.dragStart) return;
+        
+        const start = state.ui.dragStart;
+        const end = getTileFromEvent(canvas, e);
+        state.ui.dragStart = null;
+        
+        recordTaskChanges(state, state.buildMode, () => {
+            if (start.x === end.x && start.y === end.y) {
+                handleClick(state, end.x, end.y);
+            } else {
+                designateArea(state, state.buildMode, start, end, state.ui.taskPriority);
+            }
+        });
+    });
+    
+    // Releasing the button off the map cancels the drag
+    window.addEventListener('mouseup', (e) => {
+        if (e.target !== canvas) {
+            state.ui.dragStart = null;
+        }
     });
 }
 
 /**
  * Processes a click at tile coordinates.
+ * Clicking a tile that already has a task gives it the selected priority.
  */
 function handleClick(state, tileX, tileY) {
-    if (state.buildMode) {
-        if (state.buildMode === 'demolish') {
-            // Demolish mode - create demolish task
-            const task = createDemolishTask(state, tileX, tileY);
-            addTask(state, task);
-        } else if (state.buildMode.startsWith('furniture_')) {
-            // Furniture mode - place furniture in room
-            const furnitureId = state.buildMode.replace('furniture_', '');
-            const room = getRoomAtTile(state, tileX, tileY);
-            if (room) {
-                const task = createFurnitureTask(state, tileX, tileY, furnitureId, room);
-                addTask(state, task);
-            }
-        } else {
-            // Build mode - try to place building
-            const task = createBuildTask(state, tileX, tileY, state.buildMode);
-            addTask(state, task);
+    const priority = state.ui.taskPriority;
+    
+    if (state.buildMode === 'cancel') {
+        cancelTasksAt(state, tileX, tileY);
+    } else if (state.buildMode) {
+        // Build, demolish or furniture mode
+        if (!designateTile(state, state.buildMode, tileX, tileY, priority)) {
+            setTaskPriorityAt(state, tileX, tileY, priority);
         }
     } else {
-        // Normal mode - try to queue gather first
-        const task = createGatherTask(state, tileX, tileY);
-        if (task) {
-            addTask(state, task);
-        } else {
-            // No gather task - check for room selection
+        // Normal mode - try to queue gather first, then re-prioritize
+        const task = designateTile(state, null, tileX, tileY, priority);
+        if (!task && !setTaskPriorityAt(state, tileX, tileY, priority)) {
+            // No gather task - check for stockpile zone, then room selection
+            const zone = getZoneAt(state, tileX, tileY);
+            if (zone) {
+                state.ui.selectedZone = state.ui.selectedZone === zone.id ? null : zone.id;
+                state.ui.selectedRoom = null;
+                return;
+            }
+            state.ui.selectedZone = null;
+            
             const room = getRoomAtTile(state, tileX, tileY);
             if (room) {
                 // Toggle room selection
@@ -104,11 +133,20 @@ function handleClick(state, tileX, tileY) {
 }
 
 /**
- * Right click - cancel build mode.
+ * Right click - cancel the drag, the tasks on a tile, or build mode.
  */
 function setupContextMenu(canvas, state, callbacks) {
     canvas.addEventListener('contextmenu', (e) => {
         e.preventDefault();
+        if (state.ui.dragStart) {
+            state.ui.dragStart = null;
+            return;
+        }
+        
+        // Right-clicking a queued task cancels it
+        const tile = getTileFromEvent(canvas, e);
+        if (cancelTasksAt(state, tile.x, tile.y) > 0) return;
+        
         if (callbacks.onBuildModeChange) {
             callbacks.onBuildModeChange(null);
         } else {
@@ -118,16 +156,205 @@ function setupContextMenu(canvas, state, callbacks) {
 }
 
 /**
- * Keyboard - Escape cancels build mode.
+ * Keyboard - Escape cancels drag and build mode, Space pauses, 1-3 set speed,
+ * Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo.
  */
 function setupKeyboard(state, callbacks) {
     document.addEventListener('keydown', (e) => {
+        // Don't steal keys from text inputs and selects in the sidebar
+        if (e.target.closest?.('input, select, textarea')) return;
+        
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo(state);
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                redo(state);
+            }
+            return;
+        }
+        
         if (e.key === 'Escape') {
+            state.ui.dragStart = null;
             if (callbacks.onBuildModeChange) {
                 callbacks.onBuildModeChange(null);
             } else {
                 state.buildMode = null;
             }
+        } else if (e.key === ' ') {
+            e.preventDefault();  // Don't scroll or re-trigger focused buttons
+            callbacks.onTogglePause?.();
+        } else if (CONFIG.speeds.includes(Number(e.key))) {
+            callbacks.onSpeedChange?.(Number(e.key));
         }
     });
 }
+
+// ============================================
+// UNDO / REDO
+// Player designations and room types, undoable until work on them starts
+// ============================================
+
+/**
+ * Gets a readable name for a designation mode, e.g. 'wall', 'bed' or 'gather'.
+ */
+function getModeLabel(mode) {
+    if (!mode) return 'gather';
+    return mode.replace('furniture_', '');
+}
+
+/**
+ * Gets the designation mode that would recreate a task.
+ */
+function getTaskMode(task) {
+    switch (task.type) {
+        case 'gather': return null;
+        case 'demolish': return 'demolish';
+        case 'build': return task.buildType;
+        case 'furniture': return `furniture_${task.furnitureId}`;
+        default: return undefined;
+    }
+}
+
+/**
+ * Checks if a task can still be taken back: it's queued and nobody has
+ * delivered materials to it or started working on it.
+ */
+function isTaskUndoable(state, task) {
+    if (!state.tasks.includes(task)) return false;  // Completed or cancelled
+    if (task.originalTile !== undefined) return false;  // Work has begun on the site
+    
+    const materials = task.materials;
+    if (materials && Object.values(materials.delivered).some(amount => amount > 0)) return false;
+    
+    const colonist = state.colonists.find(c => c.task === task);
+    return !colonist || colonist.workProgress === 0;
+}
+
+/**
+ * Counts the tiles a set of tasks covers, so a replacement and
+ * the demolition clearing its way count once.
+ */
+function countTiles(tasks) {
+    return new Set(tasks.map(t => `${t.x},${t.y}`)).size;
+}
+
+/**
+ * Adds an action to the undo history. Any redo history is discarded.
+ */
+function pushAction(state, action) {
+    const history = state.ui.history;
+    history.undo.push(action);
+    if (history.undo.length > HISTORY_LIMIT) {
+        history.undo.shift();
+    }
+    history.redo = [];
+}
+
+/**
+ * Shows a short message in the status bar.
+ */
+export function showNotice(state, text) {
+    state.ui.notice = { text, until: Date.now() + NOTICE_DURATION };
+}
+
+/**
+ * Runs a designation and records the tasks it queued or re-prioritized as one undoable action.
+ */
+function recordTaskChanges(state, mode, apply) {
+    const priorities = new Map(state.tasks.map(t => [t, t.priority]));
+    
+    apply();
+    
+    const added = state.tasks.filter(t => !priorities.has(t));
+    const reprioritized = [];
+    for (const [task, from] of priorities) {
+        if (state.tasks.includes(task) && task.priority !== from) {
+            reprioritized.push({ task, from, to: task.priority });
+        }
+    }
+    
+    if (added.length > 0 || reprioritized.length > 0) {
+        pushAction(state, { kind: 'tasks', label: getModeLabel(mode), added, reprioritized, undone: [] });
+    }
+}
+
+/**
+ * Changes a room's type as an undoable action.
+ * Recorded by tile, since rooms are rebuilt whenever walls change.
+ */
+export function changeRoomType(state, room, type) {
+    const from = room.type;
+    if (from === type) return;
+    
+    setRoomType(room, type);
+    const tile = room.tiles[0];
+    pushAction(state, { kind: 'roomType', label: 'room type', x: tile.x, y: tile.y, from, to: type });
+}
+
+/**
+ * Undoes the latest player action.
+ * Tasks that were completed or have started are left alone and reported.
+ */
+export function undo(state) {
+    const action = state.ui.history.undo.pop();
+    if (!action) {
+        showNotice(state, 'Nothing to undo');
+        return;
+    }
+    
+    if (action.kind === 'roomType') {
+        setRoomTypeAt(state, action.x, action.y, action.from);
+        showNotice(state, `Undid ${action.label}`);
+    } else {
+        action.undone = action.added.filter(task => isTaskUndoable(state, task));
+        for (const task of action.undone) {
+            cancelTask(state, task);
+        }
+        for (const change of action.reprioritized) {
+            if (state.tasks.includes(change.task)) {
+                setTaskPriority(change.task, change.from);
+            }
+        }
+        
+        const kept = countTiles(action.added.filter(task => !action.undone.includes(task)));
+        const keptNote = kept > 0 ? ` - ${kept} already started or done, not undoable` : '';
+        showNotice(state, `Undid ${action.label} ×${countTiles(action.undone)}${keptNote}`);
+    }
+    
+    state.ui.history.redo.push(action);
+}
+
+/**
+ * Redoes the latest undone action.
+ * Tasks whose tile can no longer be designated are skipped.
+ */
+export function redo(state) {
+    const action = state.ui.history.redo.pop();
+    if (!action) {
+        showNotice(state, 'Nothing to redo');
+        return;
+    }
+    
+    if (action.kind === 'roomType') {
+        setRoomTypeAt(state, action.x, action.y, action.to);
+        showNotice(state, `Redid ${action.label}`);
+    } else {
+        const restored = [];
+        for (const task of action.undone) {
+            if (!canDesignateTile(state, getTaskMode(task), task.x, task.y)) continue;
+            requeueTask(state, task);
+            restored.push(task);
+        }
+        for (const change of action.reprioritized) {
+            if (state.tasks.includes(change.task)) {
+                setTaskPriority(change.task, change.to);
+            }
+        }
+        showNotice(state, `Redid ${action.label} ×${countTiles(restored)}`);
+    }
+    
+    state.ui.history.undo.push(action);
+}
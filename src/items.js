@@ -2,11 +2,32 @@
 // ITEM STACK SYSTEM
 // ============================================
 
+import { RESOURCES } from './config.js';
+import { getTileData } from './tiles.js';
+import { getStockpileAt } from './map.js';
+import { getStockpileZone, getZoneRank, isAllowedIn } from './zones.js';
+import { canReach } from './regions.js';
+import { measureWalkDistances, getApproachTiles } from './distances.js';
+
 let nextStackId = 0;
 
+/**
+ * Gets the id the next created item stack will receive.
+ */
+export function getNextStackId() {
+    return nextStackId;
+}
+
+/**
+ * Sets the next item stack id (used when restoring a save).
+ */
+export function setNextStackId(id) {
+    nextStackId = id;
+}
+
 /**
  * Creates a new item stack.
- * @param {string} type - 'wood' or 'stone'
+ * @param {string} type - resource type (see RESOURCES)
  * @param {number} amount - quantity in stack
  * @param {string} location - 'ground' or 'stockpile'
  * @param {number} x - tile x coordinate
@@ -23,6 +44,13 @@ export function createItemStack(type, amount, location, x, y) {
     };
 }
 
+/**
+ * Gets the most of a resource that fits in one stack.
+ */
+export function getStackSize(resourceType) {
+    return RESOURCES[resourceType]?.stackSize ?? Infinity;
+}
+
 /**
  * Adds an item stack to the game state.
  */
@@ -59,6 +87,31 @@ export function findStockpileStackAt(state, x, y) {
     );
 }
 
+/**
+ * Drops resources on the ground at a position.
+ * Tops up stacks of the same type already lying there, up to the stack size,
+ * and starts new stacks for the rest.
+ */
+export function dropOnGround(state, resourceType, amount, x, y) {
+    const maxSize = getStackSize(resourceType);
+    
+    for (const stack of state.itemStacks) {
+        if (amount <= 0) return;
+        if (stack.location !== 'ground' || stack.x !== x || stack.y !== y) continue;
+        if (stack.type !== resourceType || stack.amount >= maxSize) continue;
+        
+        const added = Math.min(amount, maxSize - stack.amount);
+        stack.amount += added;
+        amount -= added;
+    }
+    
+    while (amount > 0) {
+        const size = Math.min(amount, maxSize);
+        addItemStack(state, createItemStack(resourceType, size, 'ground', x, y));
+        amount -= size;
+    }
+}
+
 /**
  * Gets all item stacks on the ground.
  */
@@ -74,27 +127,93 @@ export function getStockpileStacks(state) {
 }
 
 /**
- * Finds a stockpile that can accept a resource type.
- * Prefers stockpiles that already have that type, then empty ones.
+ * Gets how much of a resource a stockpile tile holds when full.
+ * A plain stockpile tile holds one stack, storage furniture may hold more (storageStacks).
+ */
+export function getStockpileCapacity(state, x, y, resourceType) {
+    const stacks = getTileData(state.tiles[y][x]).storageStacks ?? 1;
+    return getStackSize(resourceType) * stacks;
+}
+
+/**
+ * Checks if a stockpile tile is filled to capacity.
+ */
+export function isStockpileFull(state, x, y) {
+    const stack = findStockpileStackAt(state, x, y);
+    return !!stack && stack.amount >= getStockpileCapacity(state, x, y, stack.type);
+}
+
+/**
+ * Gets how much more of a resource a stockpile tile can take.
+ * A tile holds a single resource type, and nothing its zone's filter disallows.
+ */
+export function getStockpileSpace(state, x, y, resourceType) {
+    const stockpile = getStockpileAt(state, x, y);
+    if (!stockpile || !isAllowedIn(getStockpileZone(state, stockpile), resourceType)) return 0;
+    
+    const capacity = getStockpileCapacity(state, x, y, resourceType);
+    const stack = findStockpileStackAt(state, x, y);
+    if (!stack) return capacity;
+    if (stack.type !== resourceType) return 0;
+    return Math.max(0, capacity - stack.amount);
+}
+
+/**
+ * Gets the stockpiles a resource could be hauled to from (fromX, fromY):
+ * reachable, with room, and taking that type. Only the best-ranked zones
+ * among those are included (see ZONE_PRIORITIES).
+ */
+function getStockpileCandidates(state, resourceType, fromX, fromY) {
+    const available = state.stockpiles.filter(sp =>
+        getStockpileSpace(state, sp.x, sp.y, resourceType) > 0 &&
+        getApproachTiles(state, sp.x, sp.y).some(tile => canReach(state, fromX, fromY, tile.x, tile.y))
+    );
+    const ranks = available.map(sp => getZoneRank(getStockpileZone(state, sp)));
+    const bestRank = Math.min(...ranks);
+    return available.filter((sp, i) => ranks[i] === bestRank);
+}
+
+/**
+ * Checks if a resource at (fromX, fromY) has a stockpile to go to.
+ * Cheaper than findAvailableStockpile, which also measures the walk.
+ */
+export function hasAvailableStockpile(state, resourceType, fromX, fromY) {
+    return getStockpileCandidates(state, resourceType, fromX, fromY).length > 0;
+}
+
+/**
+ * Finds a stockpile with room for a resource type, skipping full, filtered and unreachable ones.
+ * Only the best-ranked zones with room are considered (see ZONE_PRIORITIES);
+ * within those, prefers stockpiles that already have that type, then empty ones,
+ * each by shortest walk.
  * @param {object} state - game state
- * @param {string} resourceType - 'wood' or 'stone'
+ * @param {string} resourceType - resource type (see RESOURCES)
  * @param {number} fromX - colonist x position for distance calc
  * @param {number} fromY - colonist y position for distance calc
  * @returns {{ x, y } | null}
  */
 export function findAvailableStockpile(state, resourceType, fromX, fromY) {
+    const candidates = getStockpileCandidates(state, resourceType, fromX, fromY);
+    if (candidates.length === 0) return null;
+    
+    // One pass measures the walk to all of them
+    const distances = measureWalkDistances(
+        state,
+        [{ x: fromX, y: fromY }],
+        candidates.map(sp => getApproachTiles(state, sp.x, sp.y))
+    );
+    
     let bestMatch = null;
     let bestEmpty = null;
     let bestMatchDist = Infinity;
     let bestEmptyDist = Infinity;
     
-    for (const sp of state.stockpiles) {
-        const stack = findStockpileStackAt(state, sp.x, sp.y);
-        const dist = Math.abs(sp.x - fromX) + Math.abs(sp.y - fromY);
+    for (const [i, sp] of candidates.entries()) {
+        const dist = distances[i];
         
-        if (stack) {
-            // Stockpile has items - only match if same type
-            if (stack.type === resourceType && dist < bestMatchDist) {
+        if (findStockpileStackAt(state, sp.x, sp.y)) {
+            // Stockpile already holds this type (it has room for it)
+            if (dist < bestMatchDist) {
                 bestMatch = sp;
                 bestMatchDist = dist;
             }
@@ -111,6 +230,51 @@ export function findAvailableStockpile(state, resourceType, fromX, fromY) {
     return bestMatch || bestEmpty;
 }
 
+/**
+ * Checks if a stored stack should move to another stockpile: its zone no longer
+ * takes it, or a zone with a better priority has room for it.
+ */
+export function shouldRelocate(state, stack) {
+    const candidates = getStockpileCandidates(state, stack.type, stack.x, stack.y);
+    if (candidates.length === 0) return false;
+    
+    const stockpile = getStockpileAt(state, stack.x, stack.y);
+    const zone = stockpile && getStockpileZone(state, stockpile);
+    if (!zone || !isAllowedIn(zone, stack.type)) return true;
+    return getZoneRank(getStockpileZone(state, candidates[0])) < getZoneRank(zone);
+}
+
+/**
+ * Deposits resources on a stockpile tile, as much as fits.
+ * Returns the amount deposited.
+ */
+export function depositInStockpile(state, x, y, resourceType, amount) {
+    const deposited = Math.min(amount, getStockpileSpace(state, x, y, resourceType));
+    if (deposited <= 0) return 0;
+    
+    const existingStack = findStockpileStackAt(state, x, y);
+    if (existingStack) {
+        existingStack.amount += deposited;
+    } else {
+        addItemStack(state, createItemStack(resourceType, deposited, 'stockpile', x, y));
+    }
+    return deposited;
+}
+
+/**
+ * Puts resources straight into the closest stockpiles that take them,
+ * spreading them over several when one fills up.
+ * Returns the amount that didn't fit anywhere.
+ */
+export function storeInStockpile(state, resourceType, amount, fromX, fromY) {
+    while (amount > 0) {
+        const stockpile = findAvailableStockpile(state, resourceType, fromX, fromY);
+        if (!stockpile) break;
+        amount -= depositInStockpile(state, stockpile.x, stockpile.y, resourceType, amount);
+    }
+    return amount;
+}
+
 /**
  * Calculates total resources of a type in all stockpiles.
  */
@@ -6,11 +6,12 @@ import { CONFIG } from './config.js';
 import { createState } from './state.js';
 import { generateMap } from './map.js';
 import { spawnStartingColonists } from './colonist.js';
-import { assignTasks } from './tasks.js';
-import { updateColonists } from './systems.js';
+import { advanceSimulation, setSpeed, togglePause } from './simulation.js';
 import { render } from './renderer.js';
-import { initUI, updateUI, setupBuildButtons, setupColonistControls, setupRoomControls } from './ui.js';
-import { setupInput } from './input.js';
+import { initUI, updateUI, setupBuildButtons, setupPriorityControls, setupColonistControls, setupWorkControls, setupRoomControls, setupZoneControls, setupSpeedControls, setupSaveControls, setupSeedControls } from './ui.js';
+import { setupInput, changeRoomType, showNotice } from './input.js';
+import { generateSeed } from './random.js';
+import { onDayChanged } from './clock.js';
 
 // ============================================
 // INITIALIZATION
@@ -30,6 +31,22 @@ const state = createState();
 // Initialize world
 generateMap(state);
 spawnStartingColonists(state);
+announceDays();
+
+// Replaces the current colony with a fresh map (random seed if none given)
+function startNewMap(seed) {
+    Object.assign(state, createState());
+    generateMap(state, seed ?? generateSeed());
+    spawnStartingColonists(state);
+    announceDays();
+}
+
+// Shows each new day in the status bar (a fresh state starts with no subscribers)
+function announceDays() {
+    onDayChanged(state, (day) => {
+        showNotice(state, `Day ${day} begins`);
+    });
+}
 
 // Initialize UI
 initUI();
@@ -44,28 +61,70 @@ function handleFurnitureBuild(furnitureId) {
     state.buildMode = `furniture_${furnitureId}`;
 }
 
+// Room type changes are recorded for undo
+function handleRoomTypeChange(room, type) {
+    changeRoomType(state, room, type);
+}
+
+// Speed change handlers
+function handleSpeedChange(speed) {
+    setSpeed(state, speed);
+}
+
+function handleTogglePause() {
+    togglePause(state);
+}
+
 // Setup input
 setupInput(canvas, state, {
     onBuildModeChange: setBuildMode,
+    onSpeedChange: handleSpeedChange,
+    onTogglePause: handleTogglePause,
 });
 
 // Setup build buttons
 setupBuildButtons(state, setBuildMode);
 
+// Setup task priority buttons (urgent/normal/low)
+setupPriorityControls(state);
+
 // Setup colonist controls (cancel buttons)
 setupColonistControls(state);
 
-// Setup room controls (room type, furniture)
-setupRoomControls(state, handleFurnitureBuild);
+// Setup work table (per-colonist work types and priorities)
+setupWorkControls(state);
+
+// Setup room controls (room type, furniture, bills)
+setupRoomControls(state, handleFurnitureBuild, handleRoomTypeChange);
+
+// Setup stockpile zone list and panel (name, priority, filter)
+setupZoneControls(state);
+
+// Setup speed controls (pause, 1x/2x/3x)
+setupSpeedControls(state, {
+    onSpeedChange: handleSpeedChange,
+    onTogglePause: handleTogglePause,
+});
+
+// Setup save/load controls (slots, export/import)
+setupSaveControls(state);
+
+// Setup seed display and new map button
+setupSeedControls(state, startNewMap);
 
 // ============================================
 // GAME LOOP
 // ============================================
 
-function gameLoop() {
-    // Update
-    assignTasks(state);
-    updateColonists(state);
+// Timestamp of the previous frame (null before the first frame)
+let lastFrameTime = null;
+
+function gameLoop(timestamp) {
+    const elapsed = lastFrameTime === null ? 0 : timestamp - lastFrameTime;
+    lastFrameTime = timestamp;
+    
+    // Update - runs zero or more fixed sim ticks depending on speed
+    advanceSimulation(state, elapsed);
     
     // Render
     render(state, ctx);
@@ -83,4 +142,4 @@ console.log('Talos Demo initialized');
 console.log(`Map: ${CONFIG.mapWidth}x${CONFIG.mapHeight} tiles`);
 console.log(`Colonists: ${state.colonists.length}`);
 
-gameLoop();
+requestAnimationFrame(gameLoop);
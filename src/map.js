@@ -4,28 +4,41 @@
 
 import { CONFIG } from './config.js';
 import { TILE } from './tiles.js';
+import { createRng, random } from './random.js';
+import { joinOrCreateZone, removeEmptyZones } from './zones.js';
+import { findClosestByWalk } from './distances.js';
 
 /**
  * Generates the initial game map.
- * Populates state.tiles and state.stockpiles.
+ * Populates state.tiles, state.stockpiles and state.zones, and clears state.farms,
+ * state.furnitureBases and state.bills.
+ * Reseeds the game RNG, so the same seed always gives the same map.
+ * @param {number} [seed] - defaults to the state's current seed
  */
-export function generateMap(state) {
+export function generateMap(state, seed = state.rng.seed) {
+    state.rng = createRng(seed);
     state.tiles = [];
     state.stockpiles = [];
+    state.zones = [];
+    state.farms = [];
+    state.furnitureBases = [];
+    state.bills = [];
     
-    const { mapWidth, mapHeight, treeChance, rockChance } = CONFIG;
+    const { mapWidth, mapHeight, treeChance, rockChance, berryChance } = CONFIG;
     
     // Generate random terrain
     for (let y = 0; y < mapHeight; y++) {
         const row = [];
         for (let x = 0; x < mapWidth; x++) {
-            const rand = Math.random();
+            const rand = random(state);
             let tile = TILE.GRASS;
             
             if (rand < treeChance) {
                 tile = TILE.TREE;
             } else if (rand < treeChance + rockChance) {
                 tile = TILE.ROCK;
+            } else if (rand < treeChance + rockChance + berryChance) {
+                tile = TILE.BERRY_BUSH;
             }
             
             row.push(tile);
@@ -50,7 +63,7 @@ export function generateMap(state) {
     
     // Create initial stockpile in the center
     state.tiles[cy][cx] = TILE.STOCKPILE;
-    state.stockpiles.push({ x: cx, y: cy });
+    addStockpile(state, cx, cy);
 }
 
 /**
@@ -91,27 +104,88 @@ export function pixelToTile(pixelX, pixelY) {
 }
 
 /**
- * Finds the nearest stockpile to a position.
- * Returns { x, y } or null if no stockpiles exist.
+ * Finds the stockpile with the shortest walk from a position.
+ * Returns { x, y } or null if no stockpile can be reached.
  */
 export function findNearestStockpile(state, fromX, fromY) {
-    let nearest = null;
-    let nearestDist = Infinity;
-    
-    for (const sp of state.stockpiles) {
-        const dist = Math.abs(sp.x - fromX) + Math.abs(sp.y - fromY);
-        if (dist < nearestDist) {
-            nearestDist = dist;
-            nearest = sp;
-        }
-    }
-    
-    return nearest;
+    return findClosestByWalk(state, state.stockpiles, fromX, fromY);
 }
 
 /**
  * Adds a stockpile at the given position.
+ * It joins the zone of a stockpile next to it, or starts a new zone.
  */
 export function addStockpile(state, x, y) {
-    state.stockpiles.push({ x, y });
+    state.stockpiles.push({ x, y, zoneId: joinOrCreateZone(state, x, y) });
+}
+
+/**
+ * Finds the stockpile at a position.
+ */
+export function getStockpileAt(state, x, y) {
+    return state.stockpiles.find(sp => sp.x === x && sp.y === y) || null;
+}
+
+/**
+ * Checks if there's a stockpile at the given position.
+ */
+export function isStockpileAt(state, x, y) {
+    return getStockpileAt(state, x, y) !== null;
+}
+
+/**
+ * Removes the stockpile at the given position.
+ * Anything stored there is left on the ground to be hauled elsewhere.
+ * Returns the stacks that were dropped.
+ */
+export function removeStockpile(state, x, y) {
+    state.stockpiles = state.stockpiles.filter(sp => sp.x !== x || sp.y !== y);
+    removeEmptyZones(state);
+    
+    const dropped = state.itemStacks.filter(s => s.location === 'stockpile' && s.x === x && s.y === y);
+    for (const stack of dropped) {
+        stack.location = 'ground';
+    }
+    return dropped;
+}
+
+/**
+ * Adds an unsown farm plot at the given position.
+ */
+export function addFarm(state, x, y) {
+    state.farms.push({ x, y, sown: false, growth: 0 });
+}
+
+/**
+ * Removes the farm plot at the given position. Its crop is lost.
+ */
+export function removeFarm(state, x, y) {
+    state.farms = state.farms.filter(f => f.x !== x || f.y !== y);
+}
+
+/**
+ * Finds the farm plot at a position.
+ */
+export function getFarmAt(state, x, y) {
+    return state.farms.find(f => f.x === x && f.y === y) || null;
+}
+
+/**
+ * Records the tile a piece of furniture was placed over.
+ */
+export function setFurnitureBase(state, x, y, tile) {
+    state.furnitureBases = state.furnitureBases.filter(b => b.x !== x || b.y !== y);
+    state.furnitureBases.push({ x, y, tile });
+}
+
+/**
+ * Removes and returns the tile recorded under the furniture at a position,
+ * or null if there's no record (furniture from an older save).
+ */
+export function takeFurnitureBase(state, x, y) {
+    const base = state.furnitureBases.find(b => b.x === x && b.y === y);
+    if (!base) return null;
+    
+    state.furnitureBases = state.furnitureBases.filter(b => b !== base);
+    return base.tile;
 }
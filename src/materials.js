@@ -0,0 +1,129 @@
+// ============================================
+// TASK MATERIALS
+// Inputs a task needs delivered before work can start
+// ============================================
+
+import { CONFIG } from './config.js';
+import { dropOnGround, storeInStockpile } from './items.js';
+import { reserve, getFreeAmount } from './reservations.js';
+import { findClosestByWalk } from './distances.js';
+
+/**
+ * Creates a materials record for a task.
+ * @param {object} required - cost object { resource: amount, ... }
+ */
+export function createMaterials(required) {
+    const delivered = {};
+    for (const type of Object.keys(required)) {
+        delivered[type] = 0;
+    }
+    return { required: { ...required }, delivered };
+}
+
+/**
+ * Gets the amounts still to be delivered.
+ * Returns a cost object with only the missing resources.
+ */
+export function getMissingMaterials(task) {
+    const missing = {};
+    if (!task.materials) return missing;
+    
+    for (const [type, amount] of Object.entries(task.materials.required)) {
+        const remaining = amount - (task.materials.delivered[type] || 0);
+        if (remaining > 0) {
+            missing[type] = remaining;
+        }
+    }
+    return missing;
+}
+
+/**
+ * Checks if every required material has been delivered.
+ */
+export function hasAllMaterials(task) {
+    return Object.keys(getMissingMaterials(task)).length === 0;
+}
+
+/**
+ * Adds delivered material to a task.
+ */
+export function deliverMaterial(task, type, amount) {
+    task.materials.delivered[type] = (task.materials.delivered[type] || 0) + amount;
+}
+
+/**
+ * Gets the stockpile stacks holding unreserved units of a resource.
+ */
+export function getMaterialSources(state, type) {
+    return state.itemStacks.filter(stack =>
+        stack.location === 'stockpile' && stack.type === type && getFreeAmount(state, stack) > 0
+    );
+}
+
+/**
+ * Finds the stockpile stack holding unreserved units of a resource with the shortest walk.
+ * Returns the stack or null.
+ */
+export function findMaterialSource(state, type, fromX, fromY) {
+    return findClosestByWalk(state, getMaterialSources(state, type), fromX, fromY);
+}
+
+/**
+ * Checks if the stockpiles hold at least one free unit of every resource in a cost,
+ * so a colonist fetching it can make progress.
+ */
+export function canSourceMaterials(state, cost) {
+    return Object.keys(cost).every(type => getMaterialSources(state, type).length > 0);
+}
+
+/**
+ * Starts a colonist's trip to fetch a task's next missing material:
+ * reserves what they'll carry at the closest stockpile stack holding it.
+ * Returns the stack to walk to, or null if nothing is missing or in stock.
+ */
+export function reserveMaterialRun(state, task, colonist, fromX, fromY) {
+    const missing = getMissingMaterials(task);
+    const type = Object.keys(missing)[0];
+    if (!type) return null;
+    
+    const stack = findMaterialSource(state, type, fromX, fromY);
+    if (!stack) return null;
+    
+    const amount = Math.min(missing[type], getFreeAmount(state, stack), CONFIG.carryCapacity);
+    reserve(state, task, colonist, stack, amount);
+    return stack;
+}
+
+/**
+ * Moves reservations off a stack that's no longer in a stockpile (its stockpile
+ * was removed) onto the closest stockpile stack with free units of the same type.
+ * With nothing else in stock the reservation stays, and the units are fetched from the ground.
+ */
+export function rehomeReservations(state, stack) {
+    for (const entry of state.reservations) {
+        if (entry.stackId !== stack.id) continue;
+        
+        const other = findMaterialSource(state, entry.type, stack.x, stack.y);
+        if (other) {
+            entry.amount = Math.min(entry.amount, getFreeAmount(state, other));
+            entry.stackId = other.id;
+        }
+    }
+}
+
+/**
+ * Returns a task's delivered materials to the stockpiles.
+ * Anything that doesn't fit is dropped on the ground at (x, y) to be hauled later.
+ * Used when a task with materials is cancelled.
+ */
+export function refundDeliveredMaterials(state, task, x, y) {
+    if (!task.materials) return;
+    
+    for (const [type, amount] of Object.entries(task.materials.delivered)) {
+        const leftover = amount > 0 ? storeInStockpile(state, type, amount, x, y) : 0;
+        if (leftover > 0) {
+            dropOnGround(state, type, leftover, x, y);
+        }
+        task.materials.delivered[type] = 0;
+    }
+}
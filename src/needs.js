@@ -0,0 +1,223 @@
+// ============================================
+// COLONIST NEEDS
+// Hunger and rest, and the personal tasks that satisfy them
+// ============================================
+
+import { CONFIG } from './config.js';
+import { TILE } from './tiles.js';
+import { getColonistTile } from './colonist.js';
+import { findPath, findWorkPosition } from './pathfinding.js';
+import { isNight } from './clock.js';
+import { getFreeAmount } from './reservations.js';
+import { findClosestByWalk } from './distances.js';
+import { canReach, canReachAdjacent } from './regions.js';
+
+/**
+ * Decays a colonist's needs by one tick.
+ * Rest recovers instead while the colonist is asleep.
+ */
+export function updateNeeds(colonist) {
+    const needs = colonist.needs;
+    needs.hunger = Math.max(0, needs.hunger - CONFIG.hungerDecay);
+    
+    if (!isSleeping(colonist)) {
+        needs.rest = Math.max(0, needs.rest - CONFIG.restDecay);
+    }
+}
+
+/**
+ * Checks if a colonist is currently asleep (in a bed or on the ground).
+ */
+export function isSleeping(colonist) {
+    return colonist.task?.type === 'sleep' && colonist.workProgress > 0;
+}
+
+/**
+ * Checks if a task is one that satisfies a need.
+ */
+export function isNeedTask(task) {
+    return task?.type === 'sleep' || task?.type === 'eat';
+}
+
+/**
+ * Gets the most urgent need below the threshold.
+ * Returns 'rest', 'hunger' or null.
+ */
+export function getUrgentNeed(colonist, threshold = CONFIG.needThreshold) {
+    const { hunger, rest } = colonist.needs;
+    if (hunger >= threshold && rest >= threshold) return null;
+    return rest <= hunger ? 'rest' : 'hunger';
+}
+
+/**
+ * Checks if a colonist should drop their current work to tend to a need.
+ * Work that hasn't started yet is dropped at the normal threshold,
+ * work in progress only once the need is critical.
+ * Hauls are short and always finished first.
+ */
+export function shouldInterruptForNeeds(state, colonist) {
+    const task = colonist.task;
+    if (!task || isNeedTask(task) || colonist.carrying) return false;
+    
+    // Bedtime only wins over work that hasn't started yet
+    if (colonist.workProgress === 0 && wantsBedtime(state, colonist)) return true;
+    
+    const threshold = colonist.workProgress > 0 ? CONFIG.needCritical : CONFIG.needThreshold;
+    const need = getUrgentNeed(colonist, threshold);
+    if (!need) return false;
+    
+    // Only interrupt if the need can actually be met right now
+    if (need === 'rest') {
+        return hasReachableBed(state, colonist) || colonist.needs.rest <= CONFIG.needCritical;
+    }
+    return hasReachableFood(state, colonist);
+}
+
+/**
+ * Checks if a colonist would like to turn in for the night.
+ * Only applies once they can get to a bed - nobody chooses the ground early.
+ */
+function wantsBedtime(state, colonist) {
+    return isNight(state) &&
+           colonist.needs.rest < CONFIG.nightRestThreshold &&
+           hasReachableBed(state, colonist);
+}
+
+/**
+ * Finds beds in house rooms not already claimed by a sleeping colonist.
+ */
+function findFreeBeds(state) {
+    const claimed = new Set();
+    for (const c of state.colonists) {
+        if (c.task?.type === 'sleep' && !c.task.onGround) {
+            claimed.add(`${c.task.x},${c.task.y}`);
+        }
+    }
+    
+    const beds = [];
+    for (const room of state.rooms) {
+        if (room.type !== 'house') continue;
+        for (const tile of room.tiles) {
+            if (state.tiles[tile.y][tile.x] !== TILE.BED) continue;
+            if (claimed.has(`${tile.x},${tile.y}`)) continue;
+            beds.push(tile);
+        }
+    }
+    return beds;
+}
+
+/**
+ * Checks if a colonist can walk to a free bed.
+ */
+function hasReachableBed(state, colonist) {
+    const from = getColonistTile(colonist);
+    return findFreeBeds(state).some(bed => canReachAdjacent(state, from.x, from.y, bed.x, bed.y));
+}
+
+/**
+ * Gets the stockpile stacks holding unreserved food.
+ */
+function getFoodStacks(state) {
+    return state.itemStacks.filter(s =>
+        s.location === 'stockpile' && s.type === 'food' && getFreeAmount(state, s) > 0
+    );
+}
+
+/**
+ * Checks if a colonist can walk to unreserved food in a stockpile.
+ */
+function hasReachableFood(state, colonist) {
+    const from = getColonistTile(colonist);
+    return getFoodStacks(state).some(s => canReach(state, from.x, from.y, s.x, s.y));
+}
+
+/**
+ * Creates a sleep task: a free bed if there is one reachable,
+ * otherwise the ground if the colonist is about to collapse.
+ * Returns { task, path } or null.
+ */
+function createSleepTask(state, colonist, from) {
+    const beds = findFreeBeds(state);
+    while (beds.length > 0) {
+        const bed = findClosestByWalk(state, beds, from.x, from.y);
+        if (!bed) break;
+        beds.splice(beds.indexOf(bed), 1);
+        
+        const workPos = findWorkPosition(state, bed.x, bed.y, from.x, from.y, false, colonist);
+        if (!workPos) continue;
+        const path = findPath(state, from.x, from.y, workPos.x, workPos.y);
+        if (!path || path.length === 0) continue;
+        
+        return {
+            task: { type: 'sleep', x: bed.x, y: bed.y, assigned: colonist.id, onGround: false },
+            path,
+        };
+    }
+    
+    if (colonist.needs.rest > CONFIG.needCritical) return null;
+    
+    // No bed - sleep where they stand
+    return {
+        task: { type: 'sleep', x: from.x, y: from.y, assigned: colonist.id, onGround: true },
+        path: [{ x: from.x, y: from.y }],
+    };
+}
+
+/**
+ * Creates an eat task at the closest reachable stockpile holding unreserved food.
+ * Returns { task, path, stack } or null - the caller reserves the meal from the stack.
+ */
+function createEatTask(state, colonist, from) {
+    const stacks = getFoodStacks(state);
+    
+    while (stacks.length > 0) {
+        const stack = findClosestByWalk(state, stacks, from.x, from.y);
+        if (!stack) break;
+        stacks.splice(stacks.indexOf(stack), 1);
+        
+        const path = findPath(state, from.x, from.y, stack.x, stack.y);
+        if (!path || path.length === 0) continue;
+        
+        return {
+            task: { type: 'eat', x: stack.x, y: stack.y, stackId: stack.id, assigned: colonist.id },
+            path,
+            stack,
+        };
+    }
+    return null;
+}
+
+/**
+ * Creates a personal task for the colonist's most urgent need.
+ * Falls back to the other need if it's also low and the first can't be met.
+ * At night, colonists with no urgent need may still turn in early.
+ * Returns { task, path } or null if nothing needs doing (eat tasks also carry the food stack).
+ */
+export function createNeedTask(state, colonist) {
+    const from = getColonistTile(colonist);
+    const need = getUrgentNeed(colonist);
+    if (!need) {
+        return wantsBedtime(state, colonist) ? createSleepTask(state, colonist, from) : null;
+    }
+    
+    const creators = { rest: createSleepTask, hunger: createEatTask };
+    const order = need === 'rest' ? ['rest', 'hunger'] : ['hunger', 'rest'];
+    
+    for (const needType of order) {
+        if (colonist.needs[needType] >= CONFIG.needThreshold) continue;
+        const result = creators[needType](state, colonist, from);
+        if (result) return result;
+    }
+    return null;
+}
+
+/**
+ * Gets a short label for needs below the threshold, for status text.
+ * Returns e.g. 'hungry', 'tired', 'hungry, tired' or ''.
+ */
+export function getNeedLabel(colonist) {
+    const labels = [];
+    if (colonist.needs.hunger < CONFIG.needThreshold) labels.push('hungry');
+    if (colonist.needs.rest < CONFIG.needThreshold) labels.push('tired');
+    return labels.join(', ');
+}
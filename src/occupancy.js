@@ -0,0 +1,112 @@
+// ============================================
+// COLONIST OCCUPANCY
+// Who is standing where: claimed work spots, waiting for a tile
+// to clear, and asking idle colonists to step aside
+// ============================================
+
+import { CONFIG } from './config.js';
+import { tileToPixel } from './map.js';
+import { getColonistTile, setPath, setTarget } from './colonist.js';
+import { isWalkable, findPath } from './pathfinding.js';
+import { hasConstructionAt } from './tasks.js';
+
+/**
+ * Checks if a colonist is standing still: idle, or arrived where their path ends
+ * (working, eating, sleeping). Someone between waypoints is just passing through.
+ */
+export function isStationary(colonist) {
+    if (colonist.targetX === null) return true;
+    if (colonist.pathIndex < colonist.path.length - 1) return false;
+    return colonist.x === colonist.targetX && colonist.y === colonist.targetY;
+}
+
+/**
+ * Gets the colonists on a tile, leaving out `except`.
+ */
+export function getColonistsOnTile(state, x, y, except = null) {
+    return state.colonists.filter(c => {
+        if (c === except) return false;
+        const tile = getColonistTile(c);
+        return tile.x === x && tile.y === y;
+    });
+}
+
+/**
+ * Checks if a tile is another colonist's work spot: where the path for
+ * their task ends, or where they stand if they're already there.
+ * @param {object} [worker] - the colonist asking, whose own spot doesn't count
+ */
+export function isWorkSpotClaimed(state, x, y, worker = null) {
+    return state.colonists.some(c => {
+        if (c === worker || !c.task) return false;
+        const spot = c.path.length > 0 ? c.path[c.path.length - 1] : getColonistTile(c);
+        return spot.x === x && spot.y === y;
+    });
+}
+
+/**
+ * Checks if a tile can be taken as a work spot: nobody else is working from it,
+ * and nothing is waiting to be built there (the worker would be in the way).
+ */
+export function isFreeWorkSpot(state, x, y, worker = null) {
+    return !isWorkSpotClaimed(state, x, y, worker) && !hasConstructionAt(state, x, y);
+}
+
+/**
+ * Checks if a colonist can stand on a tile without getting in anyone's way:
+ * it's walkable, a free work spot, and nobody else is on it.
+ */
+export function isFreeToStand(state, x, y, colonist) {
+    return isWalkable(state, x, y) &&
+           isFreeWorkSpot(state, x, y, colonist) &&
+           getColonistsOnTile(state, x, y, colonist).length === 0;
+}
+
+/**
+ * Asks an idle colonist to move: they wander off to the closest free tile
+ * within CONFIG.wanderRadius.
+ * Returns false if they're busy, already on the move, or have nowhere to go.
+ */
+export function requestMove(state, colonist) {
+    if (colonist.task || colonist.wandering) return false;
+    
+    const from = getColonistTile(colonist);
+    for (let radius = 1; radius <= CONFIG.wanderRadius; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                // Only the ring at this distance - closer tiles were tried already
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                const x = from.x + dx;
+                const y = from.y + dy;
+                if (!isFreeToStand(state, x, y, colonist)) continue;
+                
+                const path = findPath(state, from.x, from.y, x, y);
+                if (!path || path.length < 2) continue;
+                
+                colonist.wandering = true;
+                setPath(colonist, path);
+                const firstTarget = tileToPixel(path[0].x, path[0].y);
+                setTarget(colonist, firstTarget.x, firstTarget.y);
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Has a colonist wait a tick for others to clear a tile, asking any idle ones to move.
+ * Returns false once they've waited longer than CONFIG.maxBlockedWait - time to give up or squeeze past.
+ */
+export function waitForTile(state, colonist, blockers) {
+    for (const other of blockers) {
+        requestMove(state, other);
+    }
+    
+    colonist.waitTicks++;
+    if (colonist.waitTicks > CONFIG.maxBlockedWait) {
+        colonist.waitTicks = 0;
+        return false;
+    }
+    return true;
+}
@@ -3,8 +3,12 @@
 // ============================================
 
 import { CONFIG } from './config.js';
-import { TILE, TILE_DATA } from './tiles.js';
+import { TILE, TILE_DATA, getMoveCost, MIN_MOVE_COST } from './tiles.js';
 import { isInBounds } from './map.js';
+import { createHeap, clearHeap, heapPush, heapPop } from './heap.js';
+import { canReach } from './regions.js';
+import { measureWalkDistances } from './distances.js';
+import { isFreeWorkSpot } from './occupancy.js';
 
 /**
  * Checks if a tile is walkable.
@@ -16,45 +20,120 @@ export function isWalkable(state, x, y) {
     return data?.walkable === true;
 }
 
+// Neighbor offsets: up, down, left, right
+const DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 },
+    { x: 1, y: 0 },
+];
+
+// Diagonal neighbor offsets
+const DIAGONALS = [
+    { x: -1, y: -1 },
+    { x: 1, y: -1 },
+    { x: -1, y: 1 },
+    { x: 1, y: 1 },
+];
+
+// Steps a colonist can take, with how far each goes
+export const STEPS = [
+    ...DIRECTIONS.map(dir => ({ ...dir, length: 1 })),
+    ...DIAGONALS.map(dir => ({ ...dir, length: Math.SQRT2 })),
+];
+
 /**
- * Gets walkable neighbors of a tile (4-directional).
+ * Octile distance (straight steps cost 1, diagonal steps √2).
  */
-function getNeighbors(state, x, y) {
-    const neighbors = [];
-    const directions = [
-        { x: 0, y: -1 },  // up
-        { x: 0, y: 1 },   // down
-        { x: -1, y: 0 },  // left
-        { x: 1, y: 0 },   // right
-    ];
-    
-    for (const dir of directions) {
-        const nx = x + dir.x;
-        const ny = y + dir.y;
-        if (isWalkable(state, nx, ny)) {
-            neighbors.push({ x: nx, y: ny });
-        }
-    }
-    
-    return neighbors;
+function heuristic(ax, ay, bx, by) {
+    const dx = Math.abs(ax - bx);
+    const dy = Math.abs(ay - by);
+    return dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
 }
 
 /**
- * Manhattan distance heuristic.
+ * Estimates the cost from a tile to the goal: the octile distance over the cheapest terrain.
  */
-function heuristic(ax, ay, bx, by) {
-    return Math.abs(ax - bx) + Math.abs(ay - by);
+function estimate(ax, ay, bx, by) {
+    return heuristic(ax, ay, bx, by) * MIN_MOVE_COST;
+}
+
+/**
+ * Gets the cost of a step between neighboring tiles: its length, with half
+ * of it walked on each tile at that tile's speed (see moveCost in TILE_DATA).
+ */
+export function getStepCost(state, fromX, fromY, toX, toY, length) {
+    return length * (getMoveCost(state.tiles[fromY][fromX]) + getMoveCost(state.tiles[toY][toX])) / 2;
+}
+
+/**
+ * Checks if both tiles beside a diagonal step from (x, y) by (dx, dy) are walkable.
+ * Colonists can't cut a corner past a wall, tree or rock.
+ */
+function isCornerClear(state, x, y, dx, dy) {
+    return isWalkable(state, x + dx, y) && isWalkable(state, x, y + dy);
 }
 
 /**
- * Finds a path from start to goal using A*.
+ * Checks if a colonist can step from one tile to a neighboring one
+ * (straight or diagonal, without cutting a corner).
+ */
+export function canStep(state, fromX, fromY, toX, toY) {
+    if (!isWalkable(state, toX, toY)) return false;
+    const dx = toX - fromX;
+    const dy = toY - fromY;
+    return dx === 0 || dy === 0 || isCornerClear(state, fromX, fromY, dx, dy);
+}
+
+/**
+ * Checks if a worker's tile touches a target tile: a shared edge, or a shared
+ * corner with both tiles beside it walkable when diagonal work is allowed.
+ */
+export function isWorkAdjacent(state, workerX, workerY, targetX, targetY, diagonal = false) {
+    const dx = Math.abs(workerX - targetX);
+    const dy = Math.abs(workerY - targetY);
+    if (dx + dy === 1) return true;
+    return diagonal && dx === 1 && dy === 1 &&
+           isCornerClear(state, targetX, targetY, workerX - targetX, workerY - targetY);
+}
+
+// Per-tile search state, indexed by y * mapWidth + x.
+// Reused between searches - an entry only counts if its stamp matches the current search.
+let search = null;
+
+/**
+ * Gets the search buffers for the current map size, ready for a new search.
+ */
+function startSearch() {
+    const size = CONFIG.mapWidth * CONFIG.mapHeight;
+    if (!search || search.size !== size) {
+        search = {
+            size,
+            id: 0,
+            seen: new Uint32Array(size),    // Search id that last reached the tile
+            firstSeen: new Float64Array(size),  // When the tile was first reached, breaks ties in f
+            closed: new Uint32Array(size),  // Search id that last expanded the tile
+            g: new Float64Array(size),      // Cost from the start
+            parent: new Int32Array(size),   // Index of the previous tile, -1 for the start
+            open: createHeap(),             // Tile indices by f score
+        };
+    }
+    search.id++;
+    clearHeap(search.open);
+    return search;
+}
+
+/**
+ * Finds the quickest path from start to goal using A*, weighted by terrain.
  * Returns array of {x, y} positions, or null if no path exists.
  * Path includes start and goal positions.
+ * @param {object} [avoid] - {x, y} of a tile to route around, e.g. someone standing in the way
  */
-export function findPath(state, startX, startY, goalX, goalY) {
+export function findPath(state, startX, startY, goalX, goalY, avoid = null) {
     // If goal is not walkable, find adjacent walkable tile
     if (!isWalkable(state, goalX, goalY)) {
-        const adjacent = getWalkableAdjacent(state, goalX, goalY);
+        const adjacent = getWalkableAdjacent(state, goalX, goalY)
+            .filter(adj => canReach(state, startX, startY, adj.x, adj.y));
         if (adjacent.length === 0) return null;
         // Pick closest adjacent tile to start
         let best = adjacent[0];
@@ -75,66 +154,58 @@ export function findPath(state, startX, startY, goalX, goalY) {
         return [{ x: startX, y: startY }];
     }
     
-    const openSet = new Map();  // key -> { x, y, g, f, parent }
-    const closedSet = new Set();
+    // Different regions - no point searching
+    if (!canReach(state, startX, startY, goalX, goalY)) return null;
     
-    const startKey = `${startX},${startY}`;
-    const startNode = {
-        x: startX,
-        y: startY,
-        g: 0,
-        f: heuristic(startX, startY, goalX, goalY),
-        parent: null,
-    };
-    openSet.set(startKey, startNode);
+    const width = CONFIG.mapWidth;
+    const { id, seen, firstSeen, closed, g, parent, open } = startSearch();
+    let reached = 0;
     
-    while (openSet.size > 0) {
-        // Find node with lowest f score
-        let current = null;
-        let currentKey = null;
-        for (const [key, node] of openSet) {
-            if (!current || node.f < current.f) {
-                current = node;
-                currentKey = key;
-            }
-        }
+    const startIdx = startY * width + startX;
+    const goalIdx = goalY * width + goalX;
+    seen[startIdx] = id;
+    firstSeen[startIdx] = reached++;
+    g[startIdx] = 0;
+    parent[startIdx] = -1;
+    heapPush(open, startIdx, estimate(startX, startY, goalX, goalY), firstSeen[startIdx]);
+    
+    while (open.size > 0) {
+        const current = heapPop(open);
+        
+        // Skip stale entries left behind when a tile was reached more cheaply
+        if (closed[current] === id) continue;
+        closed[current] = id;
         
         // Reached goal?
-        if (current.x === goalX && current.y === goalY) {
-            // Reconstruct path
-            const path = [];
-            let node = current;
-            while (node) {
-                path.unshift({ x: node.x, y: node.y });
-                node = node.parent;
-            }
-            return path;
+        if (current === goalIdx) {
+            return buildPath(parent, current, width);
         }
         
-        // Move current to closed set
-        openSet.delete(currentKey);
-        closedSet.add(currentKey);
+        const x = current % width;
+        const y = (current - x) / width;
         
-        // Check neighbors
-        const neighbors = getNeighbors(state, current.x, current.y);
-        for (const neighbor of neighbors) {
-            const neighborKey = `${neighbor.x},${neighbor.y}`;
+        // Check neighbors, diagonals only where the corner is clear
+        for (const step of STEPS) {
+            const nx = x + step.x;
+            const ny = y + step.y;
+            if (!isWalkable(state, nx, ny)) continue;
+            if (avoid && nx === avoid.x && ny === avoid.y) continue;
+            if (step.x !== 0 && step.y !== 0 && !isCornerClear(state, x, y, step.x, step.y)) continue;
             
-            if (closedSet.has(neighborKey)) continue;
+            const neighbor = ny * width + nx;
+            if (closed[neighbor] === id) continue;
             
-            const g = current.g + 1;
-            const existing = openSet.get(neighborKey);
-            
-            if (!existing || g < existing.g) {
-                const node = {
-                    x: neighbor.x,
-                    y: neighbor.y,
-                    g: g,
-                    f: g + heuristic(neighbor.x, neighbor.y, goalX, goalY),
-                    parent: current,
-                };
-                openSet.set(neighborKey, node);
+            const cost = g[current] + getStepCost(state, x, y, nx, ny, step.length);
+            if (seen[neighbor] !== id) {
+                seen[neighbor] = id;
+                firstSeen[neighbor] = reached++;
+            } else if (cost >= g[neighbor]) {
+                continue;
             }
+            g[neighbor] = cost;
+            parent[neighbor] = current;
+            // Equal f scores go to the tile reached first, so paths come out the same every time
+            heapPush(open, neighbor, cost + estimate(nx, ny, goalX, goalY), firstSeen[neighbor]);
         }
     }
     
@@ -142,19 +213,25 @@ export function findPath(state, startX, startY, goalX, goalY) {
     return null;
 }
 
+/**
+ * Walks parent links back from the goal to build the path, start first.
+ */
+function buildPath(parent, goalIdx, width) {
+    const path = [];
+    for (let idx = goalIdx; idx !== -1; idx = parent[idx]) {
+        const x = idx % width;
+        path.push({ x, y: (idx - x) / width });
+    }
+    return path.reverse();
+}
+
 /**
  * Gets walkable tiles adjacent to a position.
+ * With diagonal set, corner tiles count too unless the corner is blocked (see isWorkAdjacent).
  */
-export function getWalkableAdjacent(state, x, y) {
+export function getWalkableAdjacent(state, x, y, diagonal = false) {
     const adjacent = [];
-    const directions = [
-        { x: 0, y: -1 },
-        { x: 0, y: 1 },
-        { x: -1, y: 0 },
-        { x: 1, y: 0 },
-    ];
-    
-    for (const dir of directions) {
+    for (const dir of DIRECTIONS) {
         const nx = x + dir.x;
         const ny = y + dir.y;
         if (isWalkable(state, nx, ny)) {
@@ -162,15 +239,30 @@ export function getWalkableAdjacent(state, x, y) {
         }
     }
     
+    if (diagonal) {
+        for (const dir of DIAGONALS) {
+            const nx = x + dir.x;
+            const ny = y + dir.y;
+            if (isWalkable(state, nx, ny) && isCornerClear(state, x, y, dir.x, dir.y)) {
+                adjacent.push({ x: nx, y: ny });
+            }
+        }
+    }
+    
     return adjacent;
 }
 
 /**
  * Finds the best adjacent tile to work from.
- * Returns {x, y} or null if no walkable adjacent tile.
+ * Spots another colonist is working from, or that are waiting to be built on, are skipped.
+ * @param {boolean} [diagonal] - whether the work can be done from a corner tile
+ * @param {object} [worker] - the colonist going, whose own work spot doesn't count as taken
+ * Returns {x, y} or null if the worker can't reach any free adjacent tile.
  */
-export function findWorkPosition(state, targetX, targetY, workerX, workerY) {
-    const adjacent = getWalkableAdjacent(state, targetX, targetY);
+export function findWorkPosition(state, targetX, targetY, workerX, workerY, diagonal = false, worker = null) {
+    const adjacent = getWalkableAdjacent(state, targetX, targetY, diagonal)
+        .filter(adj => canReach(state, workerX, workerY, adj.x, adj.y))
+        .filter(adj => isFreeWorkSpot(state, adj.x, adj.y, worker));
     
     if (adjacent.length === 0) return null;
     
@@ -181,14 +273,14 @@ export function findWorkPosition(state, targetX, targetY, workerX, workerY) {
         }
     }
     
-    // Find the adjacent tile closest to worker (shortest path)
+    // Find the adjacent tile closest to worker (shortest walk)
+    const distances = measureWalkDistances(state, [{ x: workerX, y: workerY }], adjacent.map(adj => [adj]));
     let best = null;
     let bestDist = Infinity;
     
-    for (const adj of adjacent) {
-        const dist = heuristic(workerX, workerY, adj.x, adj.y);
-        if (dist < bestDist) {
-            bestDist = dist;
+    for (const [i, adj] of adjacent.entries()) {
+        if (distances[i] < bestDist) {
+            bestDist = distances[i];
             best = adj;
         }
     }
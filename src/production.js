@@ -0,0 +1,180 @@
+// ============================================
+// PRODUCTION BILLS
+// Crafting orders placed on workbenches
+// ============================================
+
+import { RECIPES, FURNITURE } from './config.js';
+import { TILE } from './tiles.js';
+import { getTotalStockpileResources, getGroundStacks } from './items.js';
+import { getRoomAtTile } from './rooms.js';
+import { createCraftTask, addTask, cancelTask } from './tasks.js';
+import { canSourceMaterials } from './materials.js';
+
+let nextBillId = 0;
+
+/**
+ * Gets the id the next created bill will receive.
+ */
+export function getNextBillId() {
+    return nextBillId;
+}
+
+/**
+ * Sets the next bill id (used when restoring a save).
+ */
+export function setNextBillId(id) {
+    nextBillId = id;
+}
+
+/**
+ * Creates a bill on a station.
+ * @param {string} recipeId - key into RECIPES
+ * @param {string} mode - 'count', 'until' or 'forever' (see BILL_MODES)
+ * @param {number} target - how many units to make (count) or keep in stock (until)
+ */
+export function createBill(recipeId, x, y, mode, target) {
+    return {
+        id: nextBillId++,
+        recipeId,
+        x,            // Station tile
+        y,
+        mode,
+        target,
+        done: 0,      // Units made so far (for 'count' bills)
+        suspended: false,
+    };
+}
+
+/**
+ * Adds a bill to the game state.
+ */
+export function addBill(state, bill) {
+    state.bills.push(bill);
+    return bill;
+}
+
+/**
+ * Removes a bill, abandoning any craft in progress for it.
+ */
+export function removeBill(state, bill) {
+    const idx = state.bills.indexOf(bill);
+    if (idx >= 0) {
+        state.bills.splice(idx, 1);
+    }
+    
+    const task = state.tasks.find(t => t.type === 'craft' && t.billId === bill.id);
+    if (task) {
+        cancelTask(state, task);
+    }
+}
+
+/**
+ * Gets the bills placed on a station tile.
+ */
+export function getBillsAt(state, x, y) {
+    return state.bills.filter(b => b.x === x && b.y === y);
+}
+
+/**
+ * Finds the crafting stations inside a room.
+ * Returns [{ x, y, furnitureId }, ...].
+ */
+export function getStationsInRoom(state, room) {
+    const stations = [];
+    const stationIds = Object.keys(FURNITURE).filter(id => getRecipesFor(id).length > 0);
+    
+    for (const tile of room.tiles) {
+        const furnitureId = stationIds.find(id => state.tiles[tile.y][tile.x] === TILE[FURNITURE[id].tile]);
+        if (furnitureId) {
+            stations.push({ x: tile.x, y: tile.y, furnitureId });
+        }
+    }
+    return stations;
+}
+
+/**
+ * Gets the recipes a furniture type can craft.
+ * Returns [[recipeId, recipe], ...].
+ */
+export function getRecipesFor(furnitureId) {
+    return Object.entries(RECIPES).filter(([, recipe]) => recipe.station === furnitureId);
+}
+
+/**
+ * Checks if a bill's station still exists and sits in the right room type.
+ */
+function isStationValid(state, bill) {
+    const recipe = RECIPES[bill.recipeId];
+    const furniture = FURNITURE[recipe?.station];
+    if (!furniture) return false;
+    
+    if (state.tiles[bill.y]?.[bill.x] !== TILE[furniture.tile]) return false;
+    
+    const room = getRoomAtTile(state, bill.x, bill.y);
+    return room !== null && room.type === furniture.roomType;
+}
+
+/**
+ * Counts the units of a bill's output the colony has on hand: stored in
+ * stockpiles, plus crafted output still on the ground or being hauled in.
+ */
+export function getBillStock(state, bill) {
+    const type = RECIPES[bill.recipeId].output.type;
+    let stock = getTotalStockpileResources(state, type);
+    for (const stack of getGroundStacks(state)) {
+        if (stack.type === type) stock += stack.amount;
+    }
+    for (const colonist of state.colonists) {
+        if (colonist.carrying?.type === type) stock += colonist.carrying.amount;
+    }
+    return stock;
+}
+
+/**
+ * Checks if a bill has met its goal.
+ */
+export function isBillSatisfied(state, bill) {
+    switch (bill.mode) {
+        case 'count':
+            return bill.done >= bill.target;
+        case 'until':
+            return getBillStock(state, bill) >= bill.target;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Records a finished craft's output against its bill.
+ */
+export function recordBillProgress(state, billId) {
+    const bill = state.bills.find(b => b.id === billId);
+    if (bill) {
+        bill.done += RECIPES[bill.recipeId].output.amount;
+    }
+}
+
+/**
+ * Queues craft tasks for bills that want more output.
+ * One craft per station at a time, in bill order.
+ * Called once per tick, before tasks are assigned.
+ */
+export function updateBills(state) {
+    const busyStations = new Set(
+        state.tasks.filter(t => t.type === 'craft').map(t => `${t.x},${t.y}`)
+    );
+    
+    for (const bill of state.bills) {
+        const key = `${bill.x},${bill.y}`;
+        if (busyStations.has(key)) continue;
+        if (bill.suspended || !isStationValid(state, bill)) continue;
+        if (isBillSatisfied(state, bill)) continue;
+        
+        // Wait until the stockpiles hold the inputs
+        const recipe = RECIPES[bill.recipeId];
+        if (!canSourceMaterials(state, recipe.inputs)) continue;
+        
+        addTask(state, createCraftTask(state, bill));
+        busyStations.add(key);
+    }
+}
@@ -0,0 +1,73 @@
+// ============================================
+// SEEDED RANDOM NUMBER GENERATOR
+// Every random decision in the simulation goes through here
+// ============================================
+
+/**
+ * Creates a fresh RNG state for a seed.
+ * @param {number} seed - unsigned 32-bit integer
+ * @returns {{ seed: number, value: number }}
+ */
+export function createRng(seed) {
+    return {
+        seed: seed >>> 0,   // Seed the generator was started with (for display/replay)
+        value: seed >>> 0,  // Current internal state, advanced on every draw
+    };
+}
+
+/**
+ * Picks a new seed for a fresh game.
+ * This is the only place allowed to use Math.random().
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Turns user input into a seed.
+ * Numbers are used as-is, any other text is hashed (FNV-1a).
+ * Returns null for empty input.
+ */
+export function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (trimmed === '') return null;
+    
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+    }
+    
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Returns a float in [0, 1) and advances the game's RNG (mulberry32).
+ */
+export function random(state) {
+    const rng = state.rng;
+    rng.value = (rng.value + 0x6d2b79f5) >>> 0;
+    
+    let t = rng.value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+/**
+ * Returns an integer in [0, max).
+ */
+export function randomInt(state, max) {
+    return Math.floor(random(state) * max);
+}
+
+/**
+ * Returns a random element of an array, or null if empty.
+ */
+export function randomChoice(state, items) {
+    if (items.length === 0) return null;
+    return items[randomInt(state, items.length)];
+}
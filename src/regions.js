@@ -0,0 +1,97 @@
+// ============================================
+// CONNECTIVITY REGIONS
+// Walkable tiles flood-filled into connected regions, so reachability
+// can be checked without a path search
+// ============================================
+
+import { CONFIG } from './config.js';
+import { isInBounds } from './map.js';
+import { isWalkable } from './pathfinding.js';
+
+// Neighbor offsets (4-directional). Diagonal steps need both corners open,
+// so they never connect tiles that aren't already connected this way.
+const DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 },
+    { x: 1, y: 0 },
+];
+
+/**
+ * Flood-fills every walkable tile into a region id.
+ * Returns { tiles, width, ids, count } - ids is indexed by y * width + x, -1 where unwalkable.
+ */
+function buildRegionMap(state) {
+    const width = CONFIG.mapWidth;
+    const height = CONFIG.mapHeight;
+    const ids = new Int32Array(width * height).fill(-1);
+    const stack = [];
+    let count = 0;
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (ids[y * width + x] !== -1 || !isWalkable(state, x, y)) continue;
+            
+            const region = count++;
+            ids[y * width + x] = region;
+            stack.push(x, y);
+            
+            while (stack.length > 0) {
+                const cy = stack.pop();
+                const cx = stack.pop();
+                for (const dir of DIRECTIONS) {
+                    const nx = cx + dir.x;
+                    const ny = cy + dir.y;
+                    if (!isWalkable(state, nx, ny) || ids[ny * width + nx] !== -1) continue;
+                    ids[ny * width + nx] = region;
+                    stack.push(nx, ny);
+                }
+            }
+        }
+    }
+    
+    return { tiles: state.tiles, width, ids, count };
+}
+
+/**
+ * Gets the region map, rebuilding it if walkability changed since it was built
+ * (setTile clears it) or the map was replaced (new map, loaded save).
+ */
+function getRegionMap(state) {
+    if (!state.regions || state.regions.tiles !== state.tiles) {
+        state.regions = buildRegionMap(state);
+    }
+    return state.regions;
+}
+
+/**
+ * Gets the region id of a tile, or -1 if it isn't walkable.
+ */
+export function getRegionAt(state, x, y) {
+    if (!isInBounds(x, y)) return -1;
+    const map = getRegionMap(state);
+    return map.ids[y * map.width + x];
+}
+
+/**
+ * Checks if a walkable tile can be walked to from (fromX, fromY).
+ * Someone standing on an unwalkable tile (e.g. a wall just built under them)
+ * can still step off onto any walkable neighbor.
+ */
+export function canReach(state, fromX, fromY, toX, toY) {
+    const target = getRegionAt(state, toX, toY);
+    if (target === -1) return false;
+    
+    const start = getRegionAt(state, fromX, fromY);
+    if (start !== -1) return start === target;
+    
+    return DIRECTIONS.some(dir => getRegionAt(state, fromX + dir.x, fromY + dir.y) === target);
+}
+
+/**
+ * Checks if any walkable tile next to (x, y) can be reached from (fromX, fromY),
+ * i.e. whether work on that tile can be done from outside it.
+ */
+export function canReachAdjacent(state, fromX, fromY, x, y) {
+    return DIRECTIONS.some(dir => canReach(state, fromX, fromY, x + dir.x, y + dir.y));
+}
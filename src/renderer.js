@@ -2,11 +2,17 @@
 // RENDERING SYSTEM
 // ============================================
 
-import { CONFIG, ROOM_TYPES } from './config.js';
-import { TILE, TILE_DATA, isBuildable } from './tiles.js';
+import { CONFIG, ROOM_TYPES, RESOURCES, TASK_PRIORITIES } from './config.js';
+import { TILE, TILE_DATA } from './tiles.js';
 import { getWorkTime } from './systems.js';
-import { findStockpileStackAt, getGroundStacks } from './items.js';
+import { findStockpileStackAt, getGroundStacks, isStockpileFull } from './items.js';
 import { getRoomAtTile } from './rooms.js';
+import { isSleeping } from './needs.js';
+import { getDarkness } from './clock.js';
+import { getFarmAt } from './map.js';
+import { getCropStage, CROP_STAGES } from './farming.js';
+import { getDragTiles, previewDesignation } from './commands.js';
+import { isTaskBlocked, isTaskUnreachable } from './tasks.js';
 
 /**
  * Main render function - draws the entire game.
@@ -21,11 +27,25 @@ export function render(state, ctx) {
     renderTiles(state, ctx, tileSize);
     renderItemStacks(state, ctx, tileSize);
     renderRooms(state, ctx, tileSize);
+    renderStockpileOverlays(state, ctx, tileSize);
     renderTaskIndicators(state, ctx, tileSize);
     renderColonists(state, ctx, tileSize);
+    renderNightOverlay(state, ctx);
     renderBuildPreview(state, ctx, tileSize);
 }
 
+/**
+ * Darkens the whole map at night.
+ * Drawn under the build preview so designations stay readable.
+ */
+function renderNightOverlay(state, ctx) {
+    const darkness = getDarkness(state);
+    if (darkness <= 0) return;
+    
+    ctx.fillStyle = `rgba(10, 15, 45, ${darkness * CONFIG.nightDarkness})`;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+}
+
 /**
  * Renders all map tiles.
  */
@@ -87,6 +107,12 @@ function renderTile(ctx, tile, px, py, tileSize, state, tileX, tileY) {
         case TILE.CRATE:
             renderCrate(ctx, px, py, tileSize, state, tileX, tileY);
             break;
+        case TILE.BERRY_BUSH:
+            renderBerryBush(ctx, px, py);
+            break;
+        case TILE.FARM:
+            renderFarm(ctx, px, py, tileSize, state, tileX, tileY);
+            break;
     }
 }
 
@@ -238,6 +264,56 @@ function renderCrate(ctx, px, py, tileSize, state, tileX, tileY) {
     }
 }
 
+function renderBerryBush(ctx, px, py) {
+    // Bush
+    ctx.fillStyle = '#2a5a2a';
+    ctx.beginPath();
+    ctx.arc(px + 16, py + 20, 10, 0, Math.PI * 2);
+    ctx.fill();
+    // Berries
+    ctx.fillStyle = RESOURCES.food.color;
+    for (const [bx, by] of [[11, 16], [19, 14], [15, 23], [22, 21]]) {
+        ctx.beginPath();
+        ctx.arc(px + bx, py + by, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+function renderFarm(ctx, px, py, tileSize, state, tileX, tileY) {
+    // Tilled soil
+    ctx.fillStyle = TILE_DATA[TILE.FARM].color;
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.strokeStyle = '#4a3020';
+    ctx.lineWidth = 1;
+    for (let row = 6; row < tileSize; row += 8) {
+        ctx.beginPath();
+        ctx.moveTo(px + 2, py + row);
+        ctx.lineTo(px + tileSize - 2, py + row);
+        ctx.stroke();
+    }
+    
+    // Crop - taller and greener with each growth stage
+    const farm = state ? getFarmAt(state, tileX, tileY) : null;
+    const stage = farm ? getCropStage(farm) : -1;
+    if (stage < 0) return;
+    
+    const height = 4 + stage * 5;
+    ctx.fillStyle = stage === 0 ? '#7a9a4a' : '#4a8a2a';
+    for (let col = 8; col < tileSize; col += 8) {
+        ctx.fillRect(px + col - 1, py + tileSize - 6 - height, 2, height);
+    }
+    
+    // Mature crops show ripe heads
+    if (stage === CROP_STAGES) {
+        ctx.fillStyle = '#e0c040';
+        for (let col = 8; col < tileSize; col += 8) {
+            ctx.beginPath();
+            ctx.arc(px + col, py + tileSize - 8 - height, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
 /**
  * Renders the contents of a stockpile or ground stack.
  */
@@ -266,6 +342,14 @@ function renderStackContents(ctx, px, py, tileSize, resourceType, amount) {
         ctx.lineTo(centerX + 6, centerY + 4);
         ctx.closePath();
         ctx.fill();
+    } else if (resourceType === 'food') {
+        // Apple icon
+        ctx.fillStyle = RESOURCES.food.color;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY + 1, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#4a8a2a';
+        ctx.fillRect(centerX, centerY - 8, 2, 4);
     }
     
     // Draw count badge
@@ -306,6 +390,34 @@ function renderItemStacks(state, ctx, tileSize) {
     }
 }
 
+/**
+ * Marks full stockpile tiles and the tiles of the selected zone.
+ */
+function renderStockpileOverlays(state, ctx, tileSize) {
+    ctx.lineWidth = 2;
+    
+    for (const sp of state.stockpiles) {
+        const px = sp.x * tileSize;
+        const py = sp.y * tileSize;
+        
+        if (isStockpileFull(state, sp.x, sp.y)) {
+            ctx.strokeStyle = 'rgba(231, 76, 60, 0.9)';
+            ctx.strokeRect(px + 1, py + 1, tileSize - 2, tileSize - 2);
+            ctx.fillStyle = '#e74c3c';
+            ctx.font = 'bold 8px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText('FULL', px + 3, py + 3);
+        }
+        
+        if (sp.zoneId === state.ui.selectedZone) {
+            ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
+            ctx.strokeRect(px, py, tileSize, tileSize);
+        }
+    }
+    ctx.lineWidth = 1;
+}
+
 /**
  * Renders room overlays.
  */
@@ -395,16 +507,96 @@ function renderTaskIndicators(state, ctx, tileSize) {
             case 'demolish':
                 ctx.strokeStyle = '#ff5555';  // Red
                 break;
+            case 'sow':
+            case 'harvest':
+                ctx.strokeStyle = '#66dd44';  // Green
+                break;
+            case 'craft':
+                ctx.strokeStyle = '#c8a165';  // Tan
+                break;
             default:
                 ctx.strokeStyle = '#ffffff';
         }
         
+        // Low priority tasks are drawn faded, urgent ones get a marker
+        ctx.globalAlpha = task.priority === 'low' ? 0.4 : 1;
         ctx.lineWidth = 2;
-        ctx.strokeRect(px + 1, py + 1, tileSize - 2, tileSize - 2);
+        if (isTaskBlocked(state, task)) {
+            renderChainedTask(ctx, px, py, tileSize);
+        } else {
+            ctx.strokeRect(px + 1, py + 1, tileSize - 2, tileSize - 2);
+        }
         ctx.lineWidth = 1;
+        ctx.globalAlpha = 1;
+        
+        if (task.priority === 'urgent') {
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(TASK_PRIORITIES.urgent.icon, px + tileSize - 7, py + 7);
+        }
+        
+        if (task.type === 'build' || task.type === 'furniture') {
+            renderBlueprint(ctx, task, px, py, tileSize);
+        }
+        
+        if (isTaskUnreachable(state, task)) {
+            renderUnreachable(ctx, px, py, tileSize);
+        }
     }
 }
 
+/**
+ * Marks a task no colonist can get to: a red tint with a no-entry sign.
+ */
+function renderUnreachable(ctx, px, py, tileSize) {
+    ctx.fillStyle = 'rgba(255, 60, 60, 0.25)';
+    ctx.fillRect(px + 2, py + 2, tileSize - 4, tileSize - 4);
+    
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('🚫', px + tileSize / 2, py + tileSize / 2);
+}
+
+/**
+ * Draws a task that waits on another one (e.g. a wall queued behind
+ * the demolition of a floor): a dashed outline inside its prerequisite's,
+ * with a chain marker.
+ */
+function renderChainedTask(ctx, px, py, tileSize) {
+    ctx.setLineDash([3, 3]);
+    ctx.strokeRect(px + 5, py + 5, tileSize - 10, tileSize - 10);
+    ctx.setLineDash([]);
+    
+    ctx.fillStyle = '#fff';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('⛓', px + 7, py + 7);
+}
+
+/**
+ * Draws a blueprint's delivered/required material counter.
+ * Skipped once building has started (the foundation is down) or if it needs nothing.
+ */
+function renderBlueprint(ctx, task, px, py, tileSize) {
+    if (!task.materials || task.originalTile !== undefined) return;
+    
+    const required = Object.values(task.materials.required).reduce((sum, n) => sum + n, 0);
+    if (required === 0) return;
+    const delivered = Object.values(task.materials.delivered).reduce((sum, n) => sum + n, 0);
+    
+    ctx.fillStyle = 'rgba(0, 170, 255, 0.2)';
+    ctx.fillRect(px + 2, py + 2, tileSize - 4, tileSize - 4);
+    
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${delivered}/${required}`, px + tileSize / 2, py + tileSize - 8);
+}
+
 /**
  * Renders all colonists.
  */
@@ -418,7 +610,14 @@ function renderColonists(state, ctx, tileSize) {
  * Renders a single colonist.
  */
 function renderColonist(ctx, colonist, tileSize) {
-    const { x, y } = colonist;
+    let { x, y } = colonist;
+    
+    // Sleepers are drawn tucked into their bed
+    const sleeping = isSleeping(colonist);
+    if (sleeping && !colonist.task.onGround) {
+        x = colonist.task.x * tileSize + tileSize / 2;
+        y = colonist.task.y * tileSize + tileSize / 2;
+    }
     
     // Body circle
     ctx.fillStyle = '#e8c170';
@@ -428,15 +627,25 @@ function renderColonist(ctx, colonist, tileSize) {
     ctx.strokeStyle = '#8a6a40';
     ctx.stroke();
     
+    // Sleep indicator
+    if (sleeping) {
+        ctx.fillStyle = '#bbe1fa';
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('z', x + 10, y - 12);
+        ctx.fillText('Z', x + 15, y - 18);
+    }
+    
     // Carrying indicator
     if (colonist.carrying) {
-        ctx.fillStyle = colonist.carrying.type === 'wood' ? '#8b5a2b' : '#7a7a8a';
+        ctx.fillStyle = RESOURCES[colonist.carrying.type]?.color || '#ffffff';
         ctx.fillRect(x - 4, y - 16, 8, 8);
     }
     
     // Work progress bar
     if (colonist.workProgress > 0 && colonist.task) {
-        const maxProgress = getWorkTime(colonist.task.type);
+        const maxProgress = getWorkTime(colonist.task.type, colonist.task);
         if (maxProgress > 0) {
             const progress = colonist.workProgress / maxProgress;
             ctx.fillStyle = '#333';
@@ -448,30 +657,48 @@ function renderColonist(ctx, colonist, tileSize) {
 }
 
 /**
- * Renders build mode preview overlay.
+ * Renders the designation preview: the hovered tile in build modes,
+ * or the whole selection while dragging, with per-tile validity and total cost.
  */
 function renderBuildPreview(state, ctx, tileSize) {
-    if (!state.buildMode || !state.ui.hoverTile) return;
+    const hover = state.ui.hoverTile;
+    const dragStart = state.ui.dragStart;
     
-    const { x, y } = state.ui.hoverTile;
-    const px = x * tileSize;
-    const py = y * tileSize;
+    // Gathering has no hover preview, only a drag one
+    if (!hover || (!state.buildMode && !dragStart)) return;
     
-    const tile = state.tiles[y]?.[x];
+    const tiles = dragStart ? getDragTiles(state.buildMode, dragStart, hover) : [hover];
+    const preview = previewDesignation(state, state.buildMode, tiles);
     
-    let canBuild = false;
+    for (const tile of preview.tiles) {
+        ctx.fillStyle = tile.valid ? 'rgba(0, 255, 0, 0.3)' : 'rgba(255, 0, 0, 0.3)';
+        ctx.fillRect(tile.x * tileSize, tile.y * tileSize, tileSize, tileSize);
+    }
     
-    if (state.buildMode === 'demolish') {
-        // Demolish mode - can demolish walls and doors
-        canBuild = tile === TILE.WALL || tile === TILE.DOOR;
-    } else if (state.buildMode === 'door' && tile === TILE.WALL) {
-        // Special case: doors can be placed over walls
-        canBuild = true;
-    } else {
-        // Normal build - tile must be buildable
-        canBuild = tile !== undefined && isBuildable(tile);
+    if (dragStart) {
+        renderPreviewLabel(ctx, preview, hover, tileSize);
     }
+}
+
+/**
+ * Draws the tile count and total cost of a drag selection next to the cursor.
+ */
+function renderPreviewLabel(ctx, preview, hover, tileSize) {
+    const costStr = Object.entries(preview.cost)
+        .map(([type, amount]) => `${amount} ${RESOURCES[type].icon}`)
+        .join(' ');
+    const text = costStr ? `${preview.count} tiles · ${costStr}` : `${preview.count} tiles`;
     
-    ctx.fillStyle = canBuild ? 'rgba(0, 255, 0, 0.3)' : 'rgba(255, 0, 0, 0.3)';
-    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    
+    const width = ctx.measureText(text).width + 10;
+    const x = Math.min((hover.x + 1) * tileSize + 4, ctx.canvas.width - width);
+    const y = Math.max(hover.y * tileSize - 10, 10);
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x, y - 9, width, 18);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, x + 5, y);
 }
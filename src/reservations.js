@@ -0,0 +1,85 @@
+// ============================================
+// RESOURCE RESERVATIONS
+// Ledger of stack units claimed by a colonist's task before they're taken
+// ============================================
+
+/**
+ * Reserves units of a stack for the task a colonist is on.
+ * Returns the ledger entry { taskId, colonistId, stackId, type, amount }.
+ */
+export function reserve(state, task, colonist, stack, amount) {
+    const entry = {
+        taskId: task.id,
+        colonistId: colonist.id,
+        stackId: stack.id,
+        type: stack.type,
+        amount,
+    };
+    state.reservations.push(entry);
+    return entry;
+}
+
+/**
+ * Removes an entry from the ledger (the units were taken, or aren't wanted any more).
+ */
+export function releaseReservation(state, entry) {
+    const idx = state.reservations.indexOf(entry);
+    if (idx >= 0) {
+        state.reservations.splice(idx, 1);
+    }
+}
+
+/**
+ * Gets the reservation a colonist holds for their task, or null.
+ */
+export function getTaskReservation(state, task, colonist) {
+    return state.reservations.find(r => r.taskId === task.id && r.colonistId === colonist.id) || null;
+}
+
+/**
+ * Gets how many units of a stack are reserved.
+ */
+export function getReservedAmount(state, stack) {
+    let reserved = 0;
+    for (const entry of state.reservations) {
+        if (entry.stackId === stack.id) {
+            reserved += entry.amount;
+        }
+    }
+    return Math.min(reserved, stack.amount);
+}
+
+/**
+ * Gets how many units of a stack nobody has claimed.
+ */
+export function getFreeAmount(state, stack) {
+    return stack.amount - getReservedAmount(state, stack);
+}
+
+/**
+ * Totals the reserved units held in stockpiles, keyed by resource type.
+ */
+export function getReservedTotals(state) {
+    const totals = {};
+    for (const stack of state.itemStacks) {
+        if (stack.location !== 'stockpile') continue;
+        const reserved = getReservedAmount(state, stack);
+        if (reserved > 0) {
+            totals[stack.type] = (totals[stack.type] || 0) + reserved;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Drops reservations that no longer hold: the colonist moved on to
+ * something else (finished, interrupted, cancelled) or the stack is gone.
+ * Called once per tick, before tasks are assigned.
+ */
+export function pruneReservations(state) {
+    state.reservations = state.reservations.filter(entry => {
+        const colonist = state.colonists.find(c => c.id === entry.colonistId);
+        if (colonist?.task?.id !== entry.taskId) return false;
+        return state.itemStacks.some(s => s.id === entry.stackId);
+    });
+}
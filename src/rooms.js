@@ -8,6 +8,20 @@ import { isInBounds } from './map.js';
 
 let nextRoomId = 0;
 
+/**
+ * Gets the id the next detected room will receive.
+ */
+export function getNextRoomId() {
+    return nextRoomId;
+}
+
+/**
+ * Sets the next room id (used when restoring a save).
+ */
+export function setNextRoomId(id) {
+    nextRoomId = id;
+}
+
 /**
  * Checks if a tile blocks room boundaries (is a wall or door).
  */
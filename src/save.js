@@ -0,0 +1,422 @@
+// ============================================
+// SAVE / LOAD
+// Versioned JSON snapshots of the game state
+// ============================================
+
+import { BUILDINGS, FURNITURE, RECIPES } from './config.js';
+import { getNextColonistId, setNextColonistId } from './colonist.js';
+import { getNextTaskId, setNextTaskId } from './tasks.js';
+import { getNextStackId, setNextStackId } from './items.js';
+import { getNextRoomId, setNextRoomId } from './rooms.js';
+import { getNextBillId, setNextBillId } from './production.js';
+import { createRng, generateSeed } from './random.js';
+import { createWorkSettings } from './work.js';
+import { createStockpileFilter, getNextZoneId, setNextZoneId } from './zones.js';
+
+// Bump when the snapshot format changes, and add a migration below
+export const SAVE_VERSION = 16;
+
+// localStorage key prefix for named save slots
+const SLOT_PREFIX = 'talos-demo.save.';
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each takes a snapshot of version N and returns one of version N + 1.
+ */
+const MIGRATIONS = {
+    // v1 -> v2: seeded RNG. Old saves never recorded a seed, so give them a fresh one.
+    1: (data) => ({ ...data, version: 2, rng: createRng(generateSeed()) }),
+    // v2 -> v3: colony statistics, counted from the load onwards
+    2: (data) => ({ ...data, version: 3, stats: { tasksCompleted: {}, idleTicks: {} } }),
+    // v3 -> v4: colonist needs, starting fully satisfied
+    3: (data) => ({
+        ...data,
+        version: 4,
+        colonists: data.colonists.map(c => ({ ...c, needs: { hunger: 1, rest: 1 } })),
+    }),
+    // v4 -> v5: farm plots
+    4: (data) => ({ ...data, version: 5, farms: [] }),
+    // v5 -> v6: workbench production bills
+    5: (data) => ({ ...data, version: 6, bills: [], nextIds: { ...data.nextIds, bill: 0 } }),
+    // v6 -> v7: per-colonist work tables, everyone doing everything
+    6: (data) => ({
+        ...data,
+        version: 7,
+        colonists: data.colonists.map(c => ({ ...c, work: createWorkSettings() })),
+    }),
+    // v7 -> v8: task priorities, everything queued so far is normal
+    7: (data) => ({ ...data, version: 8, tasks: data.tasks.map(withNormalPriority) }),
+    // v8 -> v9: blueprints with material delivery. Older builds were paid for up front.
+    8: (data) => ({ ...data, version: 9, tasks: data.tasks.map(withPaidMaterials) }),
+    // v9 -> v10: replace chains. Follow-up tasks join the queue, waiting on their demolition.
+    9: (data) => ({ ...data, version: 10, tasks: data.tasks.flatMap(withQueuedFollowUp) }),
+    // v10 -> v11: stockpile filters, existing stockpiles take everything
+    10: (data) => ({
+        ...data,
+        version: 11,
+        stockpiles: data.stockpiles.map(sp => ({ ...sp, filter: createStockpileFilter() })),
+    }),
+    // v11 -> v12: stockpile zones. Touching tiles are grouped, keeping the first tile's filter.
+    11: (data) => {
+        const { stockpiles, zones } = groupIntoZones(data.stockpiles);
+        return { ...data, version: 12, stockpiles, zones, nextIds: { ...data.nextIds, zone: zones.length } };
+    },
+    // v12 -> v13: resource reservations. Colonists mid-trip reserve again on their next stop.
+    12: (data) => ({ ...data, version: 13, reservations: [] }),
+    // v13 -> v14: colonists waiting for each other to move, nobody waiting yet
+    13: (data) => ({
+        ...data,
+        version: 14,
+        colonists: data.colonists.map(c => ({ ...c, waitTicks: 0 })),
+    }),
+    // v14 -> v15: 'Make X' bills count units made rather than crafts
+    14: (data) => ({
+        ...data,
+        version: 15,
+        bills: data.bills.map(bill => ({ ...bill, done: bill.done * (RECIPES[bill.recipeId]?.output.amount ?? 1) })),
+    }),
+    // v15 -> v16: tiles under furniture. Furniture already placed demolishes to floor.
+    15: (data) => ({ ...data, version: 16, furnitureBases: [] }),
+};
+
+/**
+ * Gives a saved task (and its follow-up) the default priority, for migrations.
+ */
+function withNormalPriority(task) {
+    const data = { ...task, priority: 'normal' };
+    if (task.followUpTask) {
+        data.followUpTask = withNormalPriority(task.followUpTask);
+    }
+    return data;
+}
+
+/**
+ * Marks a saved build or furniture task (and its follow-up) as fully supplied, for migrations.
+ */
+function withPaidMaterials(task) {
+    const data = { ...task };
+    const cost = task.type === 'build' ? BUILDINGS[task.buildType]?.cost
+        : task.type === 'furniture' ? FURNITURE[task.furnitureId]?.cost
+        : null;
+    if (cost) {
+        data.materials = { required: { ...cost }, delivered: { ...cost } };
+    }
+    if (task.followUpTask) {
+        data.followUpTask = withPaidMaterials(task.followUpTask);
+    }
+    return data;
+}
+
+/**
+ * Splits a saved task's inline follow-up into its own queued task
+ * with the parent as prerequisite, for migrations.
+ * Returns the tasks to queue.
+ */
+function withQueuedFollowUp(task) {
+    const { followUpTask, ...data } = task;
+    if (!followUpTask) return [data];
+    
+    const { pendingAfterDemolish, ...followUp } = followUpTask;
+    return [data, ...withQueuedFollowUp({ ...followUp, prerequisites: [task.id] })];
+}
+
+/**
+ * Groups saved stockpile tiles into zones: each tile joins the zone of
+ * an earlier tile next to it, or starts a new one. For migrations.
+ */
+function groupIntoZones(oldStockpiles) {
+    const stockpiles = [];
+    const zones = [];
+    
+    for (const { filter, ...sp } of oldStockpiles) {
+        const neighbor = stockpiles.find(t => Math.abs(t.x - sp.x) + Math.abs(t.y - sp.y) === 1);
+        let zoneId = neighbor?.zoneId;
+        if (zoneId === undefined) {
+            zoneId = zones.length;
+            zones.push({ id: zoneId, name: `Stockpile ${zoneId + 1}`, priority: 'normal', filter: { ...filter } });
+        }
+        stockpiles.push({ ...sp, zoneId });
+    }
+    return { stockpiles, zones };
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+/**
+ * Copies a task into plain data.
+ */
+function serializeTask(task) {
+    const data = { ...task };
+    if (task.prerequisites) {
+        data.prerequisites = [...task.prerequisites];
+    }
+    if (task.materials) {
+        data.materials = {
+            required: { ...task.materials.required },
+            delivered: { ...task.materials.delivered },
+        };
+    }
+    return data;
+}
+
+/**
+ * Copies a colonist into plain data.
+ * Queued tasks are stored by id; private tasks (e.g. hauls) are stored inline.
+ */
+function serializeColonist(state, colonist) {
+    const data = { ...colonist, task: null, taskId: null };
+    if (colonist.task) {
+        if (state.tasks.includes(colonist.task)) {
+            data.taskId = colonist.task.id;
+        } else {
+            data.task = serializeTask(colonist.task);
+        }
+    }
+    return data;
+}
+
+/**
+ * Creates a JSON-safe snapshot of the game state.
+ */
+export function createSnapshot(state) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        nextIds: {
+            colonist: getNextColonistId(),
+            task: getNextTaskId(),
+            stack: getNextStackId(),
+            room: getNextRoomId(),
+            bill: getNextBillId(),
+            zone: getNextZoneId(),
+        },
+        tiles: state.tiles.map(row => [...row]),
+        colonists: state.colonists.map(c => serializeColonist(state, c)),
+        tasks: state.tasks.map(serializeTask),
+        itemStacks: state.itemStacks.map(s => ({ ...s })),
+        stockpiles: state.stockpiles.map(sp => ({ ...sp })),
+        zones: state.zones.map(zone => ({ ...zone, filter: { ...zone.filter } })),
+        reservations: state.reservations.map(entry => ({ ...entry })),
+        farms: state.farms.map(farm => ({ ...farm })),
+        furnitureBases: state.furnitureBases.map(base => ({ ...base })),
+        bills: state.bills.map(bill => ({ ...bill })),
+        rooms: state.rooms.map(room => ({ ...room })),
+        rng: { ...state.rng },
+        stats: JSON.parse(JSON.stringify(state.stats)),
+        sim: {
+            tick: state.sim.tick,
+            speed: state.sim.speed,
+            paused: state.sim.paused,
+        },
+    };
+}
+
+// ============================================
+// DESERIALIZATION
+// ============================================
+
+/**
+ * Upgrades a snapshot to the current version.
+ * Returns null if the snapshot is from a newer or unknown version.
+ */
+function migrateSnapshot(snapshot) {
+    let data = snapshot;
+    while (data.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[data.version];
+        if (!migrate) return null;
+        data = migrate(data);
+    }
+    return data.version === SAVE_VERSION ? data : null;
+}
+
+/**
+ * Gets one past the highest id in a list of objects.
+ */
+function nextIdAfter(items) {
+    return items.reduce((max, item) => Math.max(max, item.id + 1), 0);
+}
+
+// Lists a current-version snapshot must hold, and the objects alongside them
+const SNAPSHOT_ARRAYS = [
+    'tiles', 'colonists', 'tasks', 'itemStacks', 'stockpiles', 'zones',
+    'reservations', 'farms', 'furnitureBases', 'bills', 'rooms',
+];
+const SNAPSHOT_OBJECTS = ['nextIds', 'rng', 'stats', 'sim'];
+const SNAPSHOT_ID_COUNTERS = ['colonist', 'task', 'stack', 'room', 'bill', 'zone'];
+
+/**
+ * Checks that a migrated snapshot has every part a restore needs.
+ */
+function isCompleteSnapshot(data) {
+    return SNAPSHOT_ARRAYS.every(key => Array.isArray(data[key])) &&
+           SNAPSHOT_OBJECTS.every(key => data[key] !== null && typeof data[key] === 'object') &&
+           SNAPSHOT_ID_COUNTERS.every(key => typeof data.nextIds[key] === 'number') &&
+           data.tiles.length > 0 && data.tiles.every(row => Array.isArray(row));
+}
+
+/**
+ * Builds the restored game data from a migrated snapshot, without touching the state.
+ * Throws if an entry is malformed (e.g. a colonist without a work table).
+ */
+function restoreSnapshotData(data) {
+    // Rebuild tasks, then relink colonists to the queued task objects
+    const tasks = data.tasks.map(t => ({ ...t }));
+    const tasksById = new Map(tasks.map(t => [t.id, t]));
+    
+    const colonists = data.colonists.map(c => {
+        const { taskId, ...colonist } = c;
+        colonist.needs = { ...c.needs };
+        colonist.work = Object.fromEntries(
+            Object.entries(c.work).map(([workType, setting]) => [workType, { ...setting }])
+        );
+        if (taskId !== null && taskId !== undefined) {
+            colonist.task = tasksById.get(taskId) || null;
+        }
+        return colonist;
+    });
+    
+    return {
+        tiles: data.tiles.map(row => [...row]),
+        colonists,
+        tasks,
+        itemStacks: data.itemStacks.map(s => ({ ...s })),
+        stockpiles: data.stockpiles.map(sp => ({ ...sp })),
+        zones: data.zones.map(zone => ({ ...zone, filter: { ...zone.filter } })),
+        reservations: data.reservations.map(entry => ({ ...entry })),
+        farms: data.farms.map(farm => ({ ...farm })),
+        furnitureBases: data.furnitureBases.map(base => ({ ...base })),
+        bills: data.bills.map(bill => ({ ...bill })),
+        rooms: data.rooms.map(room => ({ ...room })),
+        rng: { ...data.rng },
+        stats: JSON.parse(JSON.stringify(data.stats)),
+    };
+}
+
+/**
+ * Restores a snapshot into an existing state object.
+ * The state is mutated in place so references held by input/UI stay valid.
+ * An incomplete or malformed snapshot leaves the state untouched.
+ * Returns true if successful.
+ */
+export function applySnapshot(state, snapshot) {
+    if (!snapshot || typeof snapshot.version !== 'number') return false;
+    
+    // Migrations expect the fields of their version, so a partial save can throw
+    let restored;
+    let data;
+    try {
+        data = migrateSnapshot(snapshot);
+        if (!data || !isCompleteSnapshot(data)) return false;
+        restored = restoreSnapshotData(data);
+    } catch {
+        return false;
+    }
+    
+    Object.assign(state, restored);
+    state.sim = { ...state.sim, ...data.sim, accumulator: 0 };
+    
+    // Transient UI state doesn't survive a load
+    state.buildMode = null;
+    state.ui.hoverTile = null;
+    state.ui.dragStart = null;
+    state.ui.history = { undo: [], redo: [] };
+    state.ui.selectedRoom = null;
+    state.ui.selectedZone = null;
+    
+    // Restore id counters, never going below ids already in use
+    const { colonists, tasks } = restored;
+    const allTasks = [...tasks, ...colonists.map(c => c.task).filter(Boolean)];
+    setNextColonistId(Math.max(data.nextIds.colonist, nextIdAfter(colonists)));
+    setNextTaskId(Math.max(data.nextIds.task, nextIdAfter(allTasks)));
+    setNextStackId(Math.max(data.nextIds.stack, nextIdAfter(state.itemStacks)));
+    setNextRoomId(Math.max(data.nextIds.room, nextIdAfter(state.rooms)));
+    setNextBillId(Math.max(data.nextIds.bill, nextIdAfter(state.bills)));
+    setNextZoneId(Math.max(data.nextIds.zone, nextIdAfter(state.zones)));
+    
+    return true;
+}
+
+// ============================================
+// JSON EXPORT / IMPORT
+// ============================================
+
+/**
+ * Serializes the game state to a JSON string.
+ */
+export function exportSave(state) {
+    return JSON.stringify(createSnapshot(state));
+}
+
+/**
+ * Loads game state from a JSON string.
+ * Returns true if successful.
+ */
+export function importSave(state, json) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(json);
+    } catch {
+        return false;
+    }
+    return applySnapshot(state, snapshot);
+}
+
+// ============================================
+// LOCAL STORAGE SLOTS
+// ============================================
+
+/**
+ * Saves the game to a named localStorage slot.
+ * Returns true if successful.
+ */
+export function saveToSlot(state, name) {
+    if (!name) return false;
+    try {
+        localStorage.setItem(SLOT_PREFIX + name, exportSave(state));
+        return true;
+    } catch {
+        // Storage full or unavailable
+        return false;
+    }
+}
+
+/**
+ * Loads the game from a named localStorage slot.
+ * Returns true if successful.
+ */
+export function loadFromSlot(state, name) {
+    const json = localStorage.getItem(SLOT_PREFIX + name);
+    if (json === null) return false;
+    return importSave(state, json);
+}
+
+/**
+ * Deletes a named localStorage slot.
+ */
+export function deleteSlot(name) {
+    localStorage.removeItem(SLOT_PREFIX + name);
+}
+
+/**
+ * Lists saved slots, newest first.
+ * Returns [{ name, savedAt }].
+ */
+export function listSlots() {
+    const slots = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(SLOT_PREFIX)) continue;
+        
+        let savedAt = null;
+        try {
+            savedAt = JSON.parse(localStorage.getItem(key)).savedAt || null;
+        } catch {
+            // Corrupt slot - still list it so it can be deleted
+        }
+        slots.push({ name: key.slice(SLOT_PREFIX.length), savedAt });
+    }
+    
+    return slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
@@ -0,0 +1,88 @@
+// ============================================
+// SIMULATION CLOCK
+// Fixed-timestep updates, decoupled from rendering
+// ============================================
+
+import { CONFIG } from './config.js';
+import { assignTasks } from './tasks.js';
+import { updateColonists } from './systems.js';
+import { updateClock } from './clock.js';
+import { updateFarms } from './farming.js';
+import { updateBills } from './production.js';
+
+/**
+ * Gets the real-time length of one sim tick in milliseconds.
+ */
+export function getTickDuration() {
+    return 1000 / CONFIG.ticksPerSecond;
+}
+
+/**
+ * Runs exactly one simulation tick.
+ */
+export function stepSimulation(state) {
+    updateFarms(state);
+    updateBills(state);
+    assignTasks(state);
+    updateColonists(state);
+    recordIdleTime(state);
+    state.sim.tick++;
+    updateClock(state);
+}
+
+/**
+ * Adds a tick of idle time for every colonist without a task.
+ * Wandering counts as idle - it's just filler between jobs.
+ */
+function recordIdleTime(state) {
+    const idleTicks = state.stats.idleTicks;
+    for (const colonist of state.colonists) {
+        if (colonist.task) continue;
+        idleTicks[colonist.id] = (idleTicks[colonist.id] || 0) + 1;
+    }
+}
+
+/**
+ * Advances the simulation by an amount of real time.
+ * Runs as many fixed ticks as the elapsed time (scaled by speed) covers,
+ * carrying the remainder over to the next frame.
+ * Returns the number of ticks run.
+ */
+export function advanceSimulation(state, elapsedMs) {
+    const sim = state.sim;
+    if (sim.paused) {
+        sim.accumulator = 0;
+        return 0;
+    }
+    
+    // Clamp long gaps (e.g. background tab) so we don't try to catch up minutes at once
+    const frameTime = Math.min(elapsedMs, CONFIG.maxFrameTime);
+    sim.accumulator += frameTime * sim.speed;
+    
+    const tickDuration = getTickDuration();
+    let ticks = 0;
+    while (sim.accumulator >= tickDuration) {
+        stepSimulation(state);
+        sim.accumulator -= tickDuration;
+        ticks++;
+    }
+    
+    return ticks;
+}
+
+/**
+ * Sets the simulation speed multiplier and unpauses.
+ * Ignores speeds not listed in CONFIG.speeds.
+ */
+export function setSpeed(state, speed) {
+    if (!CONFIG.speeds.includes(speed)) return;
+    state.sim.speed = speed;
+    state.sim.paused = false;
+}
+
+/**
+ * Toggles the paused state.
+ */
+export function togglePause(state) {
+    state.sim.paused = !state.sim.paused;
+}
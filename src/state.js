@@ -2,7 +2,12 @@
 // GAME STATE
 // ============================================
 
+import { RESOURCES } from './config.js';
+import { TILE_DATA } from './tiles.js';
 import { getTotalStockpileResources } from './items.js';
+import { getReservedTotals } from './reservations.js';
+import { createRng, generateSeed } from './random.js';
+import { createClockListeners } from './clock.js';
 
 /**
  * Creates a fresh game state object.
@@ -22,19 +27,63 @@ export function createState() {
         // Task queue (gather, build tasks)
         tasks: [],
         
-        // Stockpile locations
+        // Stockpile tiles { x, y, zoneId }
         stockpiles: [],
         
+        // Stockpile zones grouping those tiles (see zones.js)
+        zones: [],
+        
+        // Farm plots { x, y, sown, growth } (growth 0-1, harvestable at 1)
+        farms: [],
+        
+        // Tiles under placed furniture { x, y, tile }, put back when it's demolished
+        furnitureBases: [],
+        
+        // Production bills on workbenches (see production.js)
+        bills: [],
+        
+        // Stack units claimed by tasks before they're taken (see reservations.js)
+        reservations: [],
+        
         // Item stacks (on ground or in stockpiles)
         itemStacks: [],
         
         // Detected rooms (enclosed spaces)
         rooms: [],
         
+        // Connected walkable regions (see regions.js), rebuilt when walkability changes
+        regions: null,
+        
+        // Seeded RNG - all random decisions draw from this
+        rng: createRng(generateSeed()),
+        
+        // Simulation clock
+        sim: {
+            tick: 0,          // Sim ticks elapsed since the colony started
+            speed: 1,         // Speed multiplier (see CONFIG.speeds)
+            paused: false,
+            accumulator: 0,   // Unsimulated real time in ms
+        },
+        
+        // Subscribers for hour/day events (see clock.js), not saved
+        clockListeners: createClockListeners(),
+        
+        // Colony statistics (for the headless runner and balancing)
+        stats: {
+            tasksCompleted: {},  // task type -> count
+            idleTicks: {},       // colonist id -> ticks spent idle
+        },
+        
         // UI state
         ui: {
             hoverTile: null,  // { x, y } or null
+            dragStart: null,  // { x, y } where a click-and-drag designation began, or null
             selectedRoom: null,  // room object or null
+            selectedZone: null,  // id of the stockpile zone shown in the zone panel, or null
+            billDraft: { recipeId: null, mode: 'count', target: 5 },  // New-bill form in the room panel
+            taskPriority: 'normal',  // Priority given to new designations (see TASK_PRIORITIES)
+            history: { undo: [], redo: [] },  // Undoable player actions (see input.js)
+            notice: null,  // { text, until } short-lived status bar message
         },
     };
 }
@@ -56,64 +105,56 @@ export function getTile(state, x, y) {
 export function setTile(state, x, y, tileType) {
     if (y < 0 || y >= state.tiles.length) return false;
     if (x < 0 || x >= state.tiles[0].length) return false;
+    
+    // Regions only change when a tile opens up or gets blocked
+    if (TILE_DATA[state.tiles[y][x]]?.walkable !== TILE_DATA[tileType]?.walkable) {
+        state.regions = null;
+    }
     state.tiles[y][x] = tileType;
     return true;
 }
 
 /**
- * Gets total resources available in stockpiles.
+ * Counts a completed task in the colony statistics.
+ */
+export function recordTaskCompleted(state, taskType) {
+    const completed = state.stats.tasksCompleted;
+    completed[taskType] = (completed[taskType] || 0) + 1;
+}
+
+/**
+ * Gets total resources available in stockpiles, keyed by resource type.
  * This replaces the old global resource tracking.
  */
 export function getResources(state) {
-    return {
-        wood: getTotalStockpileResources(state, 'wood'),
-        stone: getTotalStockpileResources(state, 'stone'),
-    };
+    const resources = {};
+    for (const type of Object.keys(RESOURCES)) {
+        resources[type] = getTotalStockpileResources(state, type);
+    }
+    return resources;
 }
 
 /**
- * Checks if we can afford a cost object { resource: amount, ... }
+ * Gets the stockpiled resources nobody has reserved, keyed by resource type.
  */
-export function canAfford(state, cost) {
+export function getFreeResources(state) {
     const resources = getResources(state);
-    for (const [resource, amount] of Object.entries(cost)) {
-        if ((resources[resource] || 0) < amount) {
-            return false;
-        }
+    const reserved = getReservedTotals(state);
+    for (const type of Object.keys(resources)) {
+        resources[type] -= reserved[type] || 0;
     }
-    return true;
+    return resources;
 }
 
 /**
- * Deducts a cost object from stockpile resources.
- * Removes items from stockpiles starting with the first ones found.
- * Returns true if successful.
+ * Checks if we can afford a cost object { resource: amount, ... } from unreserved stock.
  */
-export function payCost(state, cost) {
-    if (!canAfford(state, cost)) return false;
-    
-    for (const [resourceType, amountNeeded] of Object.entries(cost)) {
-        let remaining = amountNeeded;
-        
-        // Find stockpile stacks of this type and deduct
-        for (const stack of state.itemStacks) {
-            if (stack.location !== 'stockpile' || stack.type !== resourceType) continue;
-            if (remaining <= 0) break;
-            
-            if (stack.amount <= remaining) {
-                // Take the whole stack
-                remaining -= stack.amount;
-                stack.amount = 0;
-            } else {
-                // Take partial
-                stack.amount -= remaining;
-                remaining = 0;
-            }
+export function canAfford(state, cost) {
+    const resources = getFreeResources(state);
+    for (const [resource, amount] of Object.entries(cost)) {
+        if ((resources[resource] || 0) < amount) {
+            return false;
         }
-        
-        // Clean up empty stacks
-        state.itemStacks = state.itemStacks.filter(s => s.amount > 0);
     }
-    
     return true;
 }
@@ -3,21 +3,36 @@
 // Movement, work completion, and update logic
 // ============================================
 
-import { CONFIG, BUILDINGS, FURNITURE } from './config.js';
-import { TILE, getDepletedTile } from './tiles.js';
-import { getTile, setTile } from './state.js';
-import { addStockpile, tileToPixel, pixelToTile } from './map.js';
+import { CONFIG, BUILDINGS, FURNITURE, RECIPES } from './config.js';
+import { TILE, getDepletedTile, getDemolishedTile, getTileData, getMoveCost } from './tiles.js';
+import { getTile, setTile, recordTaskCompleted } from './state.js';
+import { addStockpile, removeStockpile, isStockpileAt, addFarm, removeFarm, getFarmAt, setFurnitureBase, takeFurnitureBase, tileToPixel, pixelToTile } from './map.js';
 import { clearTask, setCarrying, clearCarrying, setTarget, setPath, getColonistTile } from './colonist.js';
-import { removeTask, addTask } from './tasks.js';
+import { removeTask, findTaskDestination, cancelTask, canWorkDiagonally } from './tasks.js';
 import { detectRooms } from './rooms.js';
-import { isWalkable, findPath } from './pathfinding.js';
-import { createItemStack, addItemStack, removeItemStack, findStockpileStackAt, findAvailableStockpile } from './items.js';
+import { isWalkable, canStep, isWorkAdjacent, findPath, findWorkPosition } from './pathfinding.js';
+import { random, randomChoice } from './random.js';
+import { updateNeeds, shouldInterruptForNeeds } from './needs.js';
+import { removeItemStack, findStockpileStackAt, dropOnGround, depositInStockpile, getGroundStacks } from './items.js';
+import { getMissingMaterials, hasAllMaterials, deliverMaterial, reserveMaterialRun, rehomeReservations } from './materials.js';
+import { getTaskReservation, releaseReservation, getFreeAmount } from './reservations.js';
+import { recordBillProgress } from './production.js';
+import { measureWalkDistances, getApproachTiles } from './distances.js';
+import { isStationary, getColonistsOnTile, isFreeToStand, waitForTile } from './occupancy.js';
 
 /**
  * Updates all colonists - movement and work.
  */
 export function updateColonists(state) {
     for (const colonist of state.colonists) {
+        updateNeeds(colonist);
+        
+        // Drop work for an urgent need - assignTasks hands out the need task next tick
+        if (shouldInterruptForNeeds(state, colonist)) {
+            clearTask(colonist, true);
+            continue;
+        }
+        
         // Handle wandering colonists (no task, just moving)
         if (colonist.wandering) {
             updateColonistMovement(state, colonist);
@@ -53,19 +68,19 @@ export function updateColonists(state) {
  * Maybe start wandering if idle.
  */
 function maybeStartWandering(state, colonist) {
-    if (Math.random() > CONFIG.wanderChance) return;
+    if (random(state) > CONFIG.wanderChance) return;
     
     const currentTile = getColonistTile(colonist);
     const radius = CONFIG.wanderRadius;
     
-    // Find a random walkable tile within radius
+    // Find a random free tile within radius, out of everyone's way
     const candidates = [];
     for (let dy = -radius; dy <= radius; dy++) {
         for (let dx = -radius; dx <= radius; dx++) {
             if (dx === 0 && dy === 0) continue;
             const x = currentTile.x + dx;
             const y = currentTile.y + dy;
-            if (isWalkable(state, x, y)) {
+            if (isFreeToStand(state, x, y, colonist)) {
                 candidates.push({ x, y });
             }
         }
@@ -74,7 +89,7 @@ function maybeStartWandering(state, colonist) {
     if (candidates.length === 0) return;
     
     // Pick random destination
-    const dest = candidates[Math.floor(Math.random() * candidates.length)];
+    const dest = randomChoice(state, candidates);
     
     // Find path
     const path = findPath(state, currentTile.x, currentTile.y, dest.x, dest.y);
@@ -106,9 +121,11 @@ function isAtPathEnd(colonist) {
 function updateColonistMovement(state, colonist) {
     if (colonist.targetX === null) return;
     
-    // Check if target tile is still walkable before moving
+    // Check the step to the target tile is still open before moving
+    // (diagonal steps also need both corners beside them clear)
     const targetTile = pixelToTile(colonist.targetX, colonist.targetY);
-    if (!isWalkable(state, targetTile.x, targetTile.y)) {
+    const fromTile = pixelToTile(colonist.x, colonist.y);
+    if (!canStep(state, fromTile.x, fromTile.y, targetTile.x, targetTile.y)) {
         // Path is blocked - unassign task so it can be reassigned
         clearTask(colonist, true);
         return;
@@ -118,10 +135,13 @@ function updateColonistMovement(state, colonist) {
     const dy = colonist.targetY - colonist.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
     
-    if (dist > CONFIG.colonistSpeed) {
+    // Floors are quicker to walk on, rubble and stumps slower
+    const speed = CONFIG.colonistSpeed / getMoveCost(getTile(state, fromTile.x, fromTile.y));
+    
+    if (dist > speed) {
         // Check intermediate position won't cross into non-walkable tile
-        const newX = colonist.x + (dx / dist) * CONFIG.colonistSpeed;
-        const newY = colonist.y + (dy / dist) * CONFIG.colonistSpeed;
+        const newX = colonist.x + (dx / dist) * speed;
+        const newY = colonist.y + (dy / dist) * speed;
         const newTile = pixelToTile(newX, newY);
         const currentTile = pixelToTile(colonist.x, colonist.y);
         
@@ -142,11 +162,15 @@ function updateColonistMovement(state, colonist) {
         
         // Move to next waypoint if available
         if (colonist.path && colonist.pathIndex < colonist.path.length - 1) {
+            // Hold back while someone stands on it (this may also reroute)
+            if (isWaitingToStep(state, colonist)) return;
+            
             colonist.pathIndex++;
             const nextWaypoint = colonist.path[colonist.pathIndex];
             
-            // Check if next waypoint is walkable
-            if (isWalkable(state, nextWaypoint.x, nextWaypoint.y)) {
+            // Check the next step is still open
+            const here = pixelToTile(colonist.x, colonist.y);
+            if (canStep(state, here.x, here.y, nextWaypoint.x, nextWaypoint.y)) {
                 const target = tileToPixel(nextWaypoint.x, nextWaypoint.y);
                 setTarget(colonist, target.x, target.y);
             } else {
@@ -157,16 +181,63 @@ function updateColonistMovement(state, colonist) {
     }
 }
 
+/**
+ * Checks if a colonist should wait before stepping to their next waypoint
+ * because someone is standing on it. Idle colonists are asked to move and
+ * waited for; someone busy there is walked around if there's a short detour.
+ * After waiting too long the colonist squeezes past.
+ */
+function isWaitingToStep(state, colonist) {
+    const next = colonist.path[colonist.pathIndex + 1];
+    const blockers = getColonistsOnTile(state, next.x, next.y, colonist).filter(isStationary);
+    if (blockers.length === 0) {
+        colonist.waitTicks = 0;
+        return false;
+    }
+    
+    if (blockers.some(c => !c.task)) {
+        return waitForTile(state, colonist, blockers);
+    }
+    
+    // Busy colonists stay put - go around them, unless it's where we're going too
+    const goal = colonist.path[colonist.path.length - 1];
+    if (next !== goal) {
+        const here = colonist.path[colonist.pathIndex];
+        const detour = findPath(state, here.x, here.y, goal.x, goal.y, next);
+        const remaining = colonist.path.length - colonist.pathIndex;
+        if (detour && detour.length <= remaining + CONFIG.maxDetour) {
+            setPath(colonist, detour);
+        }
+    }
+    return false;
+}
+
 /**
  * Processes work at the colonist's current location.
  */
 function updateColonistWork(state, colonist) {
     const task = colonist.task;
     
+    // Blueprints and crafts have their materials fetched from stockpiles first
+    if (!hasAllMaterials(task)) {
+        processMaterialDelivery(state, colonist);
+        return;
+    }
+    
+    // A corner work spot is lost if something goes up beside it - find another
+    if (canWorkDiagonally(task) && !isAdjacent(state, colonist, task)) {
+        const from = getColonistTile(colonist);
+        const workPos = findWorkPosition(state, task.x, task.y, from.x, from.y, true, colonist);
+        if (!workPos || !sendColonistTo(state, colonist, workPos.x, workPos.y)) {
+            clearTask(colonist, true);
+        }
+        return;
+    }
+    
     switch (task.type) {
         case 'gather':
             // Verify colonist is adjacent to gather target
-            if (isAdjacent(colonist, task.x, task.y)) {
+            if (isAdjacent(state, colonist, task)) {
                 processGatherWork(state, colonist);
             }
             break;
@@ -179,37 +250,56 @@ function updateColonistWork(state, colonist) {
             break;
         case 'build':
             // Verify colonist is adjacent to build target
-            if (isAdjacent(colonist, task.x, task.y)) {
+            if (isAdjacent(state, colonist, task)) {
                 processBuildWork(state, colonist);
             }
             break;
         case 'demolish':
             // Verify colonist is adjacent to demolish target
-            if (isAdjacent(colonist, task.x, task.y)) {
+            if (isAdjacent(state, colonist, task)) {
                 processDemolishWork(state, colonist);
             }
             break;
         case 'furniture':
             // Verify colonist is adjacent to furniture target
-            if (isAdjacent(colonist, task.x, task.y)) {
+            if (isAdjacent(state, colonist, task)) {
                 processFurnitureWork(state, colonist);
             }
             break;
+        case 'sleep':
+            // Beds are slept in from beside them, the ground right where they stand
+            if (task.onGround || isAdjacent(state, colonist, task)) {
+                processSleepWork(state, colonist);
+            }
+            break;
+        case 'eat':
+            // Eat at the stockpile holding the food
+            processEatWork(state, colonist);
+            break;
+        case 'sow':
+            // Farm work happens standing on the plot
+            processSowWork(state, colonist);
+            break;
+        case 'harvest':
+            processHarvestWork(state, colonist);
+            break;
+        case 'craft':
+            // Verify colonist is adjacent to the station
+            if (isAdjacent(state, colonist, task)) {
+                processCraftWork(state, colonist);
+            }
+            break;
     }
 }
 
 /**
- * Checks if colonist is adjacent to a tile (within 1 tile).
+ * Checks if colonist is next to their task's tile: 1 tile away in a
+ * cardinal direction, or diagonally for tasks that allow it.
  */
-function isAdjacent(colonist, tileX, tileY) {
+function isAdjacent(state, colonist, task) {
     const colTileX = Math.floor(colonist.x / CONFIG.tileSize);
     const colTileY = Math.floor(colonist.y / CONFIG.tileSize);
-    
-    const dx = Math.abs(colTileX - tileX);
-    const dy = Math.abs(colTileY - tileY);
-    
-    // Adjacent means exactly 1 tile away in cardinal direction
-    return (dx === 1 && dy === 0) || (dx === 0 && dy === 1);
+    return isWorkAdjacent(state, colTileX, colTileY, task.x, task.y, canWorkDiagonally(task));
 }
 
 /**
@@ -230,15 +320,15 @@ function completeGather(state, colonist) {
     const task = colonist.task;
     const tile = state.tiles[task.y][task.x];
     
-    // Create item stack on the ground at the resource location
-    const stack = createItemStack(task.resource, 1, 'ground', task.x, task.y);
-    addItemStack(state, stack);
+    // Drop the resource on the ground at its location, onto any stack already there
+    dropOnGround(state, task.resource, 1, task.x, task.y);
     
     // Deplete the tile
     const depletedTile = getDepletedTile(tile);
     setTile(state, task.x, task.y, depletedTile);
     
     // Remove task and reset colonist
+    recordTaskCompleted(state, task.type);
     removeTask(state, task);
     clearTask(colonist);
 }
@@ -251,27 +341,75 @@ function processPickupWork(state, colonist) {
 }
 
 /**
- * Completes a pickup task - colonist picks up the stack.
+ * Completes a pickup task - colonist picks up as much of the stack as they can carry.
+ * With room to spare, they move on to the next stack of the same type nearby.
+ * Whatever is left of a stack gets a new pickup task.
  */
 function completePickup(state, colonist) {
     const task = colonist.task;
     
-    // Find the stack
+    // Find the stack (a carried load is always of the same type)
     const stack = state.itemStacks.find(s => s.id === task.stackId);
-    if (stack) {
-        // Pick up the stack
-        setCarrying(colonist, stack.type, stack.amount);
-        colonist.carryingStackId = stack.id;
+    if (stack && (!colonist.carrying || colonist.carrying.type === stack.type)) {
+        const carried = colonist.carrying?.amount || 0;
+        const amount = Math.min(getFreeAmount(state, stack), CONFIG.carryCapacity - carried);
+        setCarrying(colonist, stack.type, carried + amount);
         
-        // Remove from ground
-        removeItemStack(state, stack);
+        // Take it off the ground
+        stack.amount -= amount;
+        if (stack.amount <= 0) {
+            removeItemStack(state, stack);
+        }
     }
     
+    recordTaskCompleted(state, task.type);
+    
+    if (colonist.carrying && continuePickup(state, colonist)) return;
+    
     // Remove pickup task
     removeTask(state, task);
     clearTask(colonist);
 }
 
+/**
+ * Sends a colonist with room left in their arms on to the closest stack of the same type
+ * a walk of at most CONFIG.pickupRadius away, taking over its pickup task if nobody's on it yet.
+ * Returns false if there's nothing worth the detour.
+ */
+function continuePickup(state, colonist) {
+    const task = colonist.task;
+    const { type, amount } = colonist.carrying;
+    if (amount >= CONFIG.carryCapacity) return false;
+    
+    const from = getColonistTile(colonist);
+    const claimed = new Set(
+        state.tasks.filter(t => t.type === 'pickup' && t !== task && t.assigned !== null).map(t => t.stackId)
+    );
+    const stacks = getGroundStacks(state)
+        .filter(s => s.type === type && !claimed.has(s.id) && getFreeAmount(state, s) > 0);
+    const distances = measureWalkDistances(state, [from], stacks.map(s => getApproachTiles(state, s.x, s.y)));
+    const candidates = stacks
+        .map((stack, i) => ({ stack, dist: distances[i] }))
+        .filter(c => c.dist <= CONFIG.pickupRadius)
+        .sort((a, b) => a.dist - b.dist);
+    
+    for (const { stack } of candidates) {
+        if (!sendColonistTo(state, colonist, stack.x, stack.y)) continue;
+        
+        // Retarget this pickup and drop the stack's own queued one
+        const queued = state.tasks.find(t => t.type === 'pickup' && t !== task && t.stackId === stack.id);
+        if (queued) {
+            removeTask(state, queued);
+        }
+        task.stackId = stack.id;
+        task.x = stack.x;
+        task.y = stack.y;
+        colonist.workProgress = 0;
+        return true;
+    }
+    return false;
+}
+
 /**
  * Processes hauling - deposit at stockpile.
  */
@@ -285,42 +423,41 @@ function processHaulWork(state, colonist) {
 function completeHaul(state, colonist) {
     const task = colonist.task;
     
-    // Deposit carried resources into the stockpile
+    // Stockpile demolished on the way - drop the task and haul somewhere else
+    if (!isStockpileAt(state, task.x, task.y)) {
+        clearTask(colonist);
+        return;
+    }
+    
+    // Deposit what fits; anything left is hauled on to the next stockpile with room
     if (colonist.carrying) {
-        // Check if this stockpile already has a stack
-        const existingStack = findStockpileStackAt(state, task.x, task.y);
-        
-        if (existingStack) {
-            // Add to existing stack (should be same type due to findAvailableStockpile)
-            existingStack.amount += colonist.carrying.amount;
-        } else {
-            // Create new stack in stockpile
-            const stack = createItemStack(
-                colonist.carrying.type,
-                colonist.carrying.amount,
-                'stockpile',
-                task.x,
-                task.y
-            );
-            addItemStack(state, stack);
+        const { type, amount } = colonist.carrying;
+        const deposited = depositInStockpile(state, task.x, task.y, type, amount);
+        colonist.carrying.amount -= deposited;
+        if (colonist.carrying.amount <= 0) {
+            clearCarrying(colonist);
         }
-        
-        clearCarrying(colonist);
-        colonist.carryingStackId = null;
     }
     
+    recordTaskCompleted(state, task.type);
     clearTask(colonist);
 }
 
 /**
- * Checks if any colonist is standing on a tile.
+ * Checks if a construction site is clear to start on. Anyone idle standing
+ * there is asked to move and waited for; if the site doesn't clear in time
+ * the task goes back on the queue to be retried later.
  */
-function isColonistOnTile(state, tileX, tileY) {
-    for (const c of state.colonists) {
-        const colTile = pixelToTile(c.x, c.y);
-        if (colTile.x === tileX && colTile.y === tileY) {
-            return true;
-        }
+function isSiteClear(state, colonist) {
+    const task = colonist.task;
+    const occupants = getColonistsOnTile(state, task.x, task.y);
+    if (occupants.length === 0) {
+        colonist.waitTicks = 0;
+        return true;
+    }
+    
+    if (!waitForTile(state, colonist, occupants)) {
+        clearTask(colonist, true);
     }
     return false;
 }
@@ -332,14 +469,10 @@ function processBuildWork(state, colonist) {
     const task = colonist.task;
     
     // On first frame of work, check if we can start and place foundation
-    if (colonist.workProgress === 0) {
-        // Check if any colonist is standing on the build site
-        if (isColonistOnTile(state, task.x, task.y)) {
-            // Can't build - someone is standing there
-            // Unassign task so it can be retried later
-            clearTask(colonist, true);
-            return;
-        }
+    // (skipped when resuming a site that already has one)
+    if (colonist.workProgress === 0 && state.tiles[task.y][task.x] !== TILE.FOUNDATION) {
+        // Can't build with someone standing on the site
+        if (!isSiteClear(state, colonist)) return;
         
         // Place foundation to block the tile
         // Store the original tile so we can restore if cancelled
@@ -377,19 +510,33 @@ function processDemolishWork(state, colonist) {
  */
 function completeDemolish(state, colonist) {
     const task = colonist.task;
+    const tile = getTile(state, task.x, task.y);
+    const tileData = getTileData(tile);
+    
+    // Remove the structure, leaving rubble (or whatever furniture was placed over)
+    const base = tileData.furniture ? takeFurnitureBase(state, task.x, task.y) : null;
+    setTile(state, task.x, task.y, base ?? getDemolishedTile(tile));
     
-    // Remove the structure, replace with rubble
-    setTile(state, task.x, task.y, TILE.RUBBLE);
+    // Stored items drop to the ground, crops and their work are lost
+    if (tileData.isStockpile || tileData.isStorage) {
+        for (const stack of removeStockpile(state, task.x, task.y)) {
+            rehomeReservations(state, stack);
+        }
+    } else if (tileData.isFarm) {
+        removeFarm(state, task.x, task.y);
+        const farmTasks = state.tasks.filter(t =>
+            (t.type === 'sow' || t.type === 'harvest') && t.x === task.x && t.y === task.y
+        );
+        for (const farmTask of farmTasks) {
+            cancelTask(state, farmTask);
+        }
+    }
     
     // Re-detect rooms since walls changed
     detectRooms(state);
     
-    // If there's a follow-up task (e.g., build door), add it to queue
-    if (task.followUpTask) {
-        addTask(state, task.followUpTask);
-    }
-    
-    // Remove task and reset colonist
+    // Remove task and reset colonist (tasks waiting on it become available)
+    recordTaskCompleted(state, task.type);
     removeTask(state, task);
     clearTask(colonist);
 }
@@ -406,9 +553,11 @@ function completeBuild(state, colonist) {
         const tileType = TILE[building.tile];
         setTile(state, task.x, task.y, tileType);
         
-        // Special handling for stockpiles
+        // Special handling for stockpiles and farms
         if (building.tile === 'STOCKPILE') {
             addStockpile(state, task.x, task.y);
+        } else if (building.tile === 'FARM') {
+            addFarm(state, task.x, task.y);
         }
         
         // Detect rooms when walls or doors are placed
@@ -418,6 +567,7 @@ function completeBuild(state, colonist) {
     }
     
     // Remove task and reset colonist
+    recordTaskCompleted(state, task.type);
     removeTask(state, task);
     clearTask(colonist);
 }
@@ -429,12 +579,10 @@ function processFurnitureWork(state, colonist) {
     const task = colonist.task;
     
     // On first frame of work, check if we can start and place foundation
-    if (colonist.workProgress === 0) {
-        // Check if any colonist is standing on the build site
-        if (isColonistOnTile(state, task.x, task.y)) {
-            clearTask(colonist, true);
-            return;
-        }
+    // (skipped when resuming a site that already has one)
+    if (colonist.workProgress === 0 && state.tiles[task.y][task.x] !== TILE.FOUNDATION) {
+        // Can't build with someone standing on the site
+        if (!isSiteClear(state, colonist)) return;
         
         // Place foundation
         task.originalTile = state.tiles[task.y][task.x];
@@ -456,8 +604,11 @@ function completeFurniture(state, colonist) {
     const furniture = FURNITURE[task.furnitureId];
     
     if (furniture) {
-        // Place the furniture tile
+        // Place the furniture tile, remembering what it stands on
         const tileType = TILE[furniture.tile];
+        if (task.originalTile !== undefined) {
+            setFurnitureBase(state, task.x, task.y, task.originalTile);
+        }
         setTile(state, task.x, task.y, tileType);
         
         // Special handling for storage furniture (crates)
@@ -467,19 +618,266 @@ function completeFurniture(state, colonist) {
     }
     
     // Remove task and reset colonist
+    recordTaskCompleted(state, task.type);
+    removeTask(state, task);
+    clearTask(colonist);
+}
+
+/**
+ * Processes sowing work.
+ */
+function processSowWork(state, colonist) {
+    colonist.workProgress++;
+    
+    if (colonist.workProgress >= CONFIG.sowTime) {
+        completeSow(state, colonist);
+    }
+}
+
+/**
+ * Completes a sow task - plants a crop on the plot.
+ */
+function completeSow(state, colonist) {
+    const task = colonist.task;
+    const farm = getFarmAt(state, task.x, task.y);
+    
+    if (farm) {
+        farm.sown = true;
+        farm.growth = 0;
+    }
+    
+    recordTaskCompleted(state, task.type);
+    removeTask(state, task);
+    clearTask(colonist);
+}
+
+/**
+ * Processes harvesting work.
+ */
+function processHarvestWork(state, colonist) {
+    colonist.workProgress++;
+    
+    if (colonist.workProgress >= CONFIG.harvestTime) {
+        completeHarvest(state, colonist);
+    }
+}
+
+/**
+ * Completes a harvest task - drops food on the plot and resets it for sowing.
+ */
+function completeHarvest(state, colonist) {
+    const task = colonist.task;
+    const farm = getFarmAt(state, task.x, task.y);
+    
+    if (farm && farm.sown) {
+        // Food goes through the normal pickup/haul pipeline
+        dropOnGround(state, task.resource, CONFIG.cropYield, task.x, task.y);
+        
+        farm.sown = false;
+        farm.growth = 0;
+    }
+    
+    recordTaskCompleted(state, task.type);
+    removeTask(state, task);
+    clearTask(colonist);
+}
+
+/**
+ * Processes sleeping - restores rest until fully rested.
+ */
+function processSleepWork(state, colonist) {
+    const task = colonist.task;
+    
+    // Bed may have been demolished while walking over
+    if (!task.onGround && state.tiles[task.y][task.x] !== TILE.BED) {
+        clearTask(colonist);
+        return;
+    }
+    
+    colonist.workProgress++;
+    
+    const rate = task.onGround ? CONFIG.groundRestRate : CONFIG.bedRestRate;
+    colonist.needs.rest = Math.min(1, colonist.needs.rest + rate);
+    
+    if (colonist.needs.rest >= 1) {
+        recordTaskCompleted(state, task.type);
+        clearTask(colonist);
+    }
+}
+
+/**
+ * Processes eating - takes one food from the stockpile, then eats it.
+ */
+function processEatWork(state, colonist) {
+    const task = colonist.task;
+    
+    // On first frame, take the food reserved for this meal
+    if (colonist.workProgress === 0) {
+        const reservation = getTaskReservation(state, task, colonist);
+        const stackId = reservation ? reservation.stackId : task.stackId;
+        const stack = state.itemStacks.find(s => s.id === stackId);
+        if (!stack || stack.amount <= 0) {
+            // Someone else got there first
+            clearTask(colonist);
+            return;
+        }
+        
+        // The stockpile was removed on the way and the reservation moved elsewhere
+        const colTile = getColonistTile(colonist);
+        if (stack.x !== colTile.x || stack.y !== colTile.y) {
+            if (!sendColonistTo(state, colonist, stack.x, stack.y)) {
+                clearTask(colonist);
+            }
+            return;
+        }
+        
+        if (reservation) {
+            releaseReservation(state, reservation);
+        }
+        stack.amount--;
+        if (stack.amount <= 0) {
+            removeItemStack(state, stack);
+        }
+    }
+    
+    colonist.workProgress++;
+    
+    if (colonist.workProgress >= CONFIG.eatTime) {
+        colonist.needs.hunger = Math.min(1, colonist.needs.hunger + CONFIG.foodNutrition);
+        recordTaskCompleted(state, task.type);
+        clearTask(colonist);
+    }
+}
+
+/**
+ * Sends a colonist walking to a tile without changing their task.
+ * Returns false if there's no path.
+ */
+function sendColonistTo(state, colonist, x, y) {
+    const from = getColonistTile(colonist);
+    const path = findPath(state, from.x, from.y, x, y);
+    if (!path || path.length === 0) return false;
+    
+    setPath(colonist, path);
+    const firstTarget = tileToPixel(path[0].x, path[0].y);
+    setTarget(colonist, firstTarget.x, firstTarget.y);
+    return true;
+}
+
+/**
+ * Processes a material run for a task that needs inputs (blueprints, crafts).
+ * At a stockpile the colonist picks up what's missing; beside the site
+ * they hand it over. Then they head off for the next material or to work.
+ */
+function processMaterialDelivery(state, colonist) {
+    const task = colonist.task;
+    const missing = getMissingMaterials(task);
+    
+    if (colonist.carrying) {
+        // Walked back to the site - hand over the load
+        const type = colonist.carrying.type;
+        const amount = Math.min(colonist.carrying.amount, missing[type] || 0);
+        deliverMaterial(task, type, amount);
+        colonist.carrying.amount -= amount;
+        if (colonist.carrying.amount <= 0) {
+            clearCarrying(colonist);
+        } else {
+            // Not wanted here - drop the task so the leftover gets stored
+            clearTask(colonist, true);
+            return;
+        }
+    } else {
+        // At the stockpile - take what was reserved for this trip
+        const reservation = getTaskReservation(state, task, colonist);
+        const stack = reservation && state.itemStacks.find(s => s.id === reservation.stackId);
+        if (stack) {
+            const colTile = getColonistTile(colonist);
+            if (stack.x !== colTile.x || stack.y !== colTile.y) {
+                // The stockpile was removed on the way and the reservation moved elsewhere
+                if (!sendColonistTo(state, colonist, stack.x, stack.y)) {
+                    clearTask(colonist, true);
+                }
+                return;
+            }
+            
+            releaseReservation(state, reservation);
+            const amount = Math.min(reservation.amount, stack.amount, missing[stack.type] || 0);
+            if (amount > 0) {
+                stack.amount -= amount;
+                if (stack.amount <= 0) {
+                    removeItemStack(state, stack);
+                }
+                setCarrying(colonist, stack.type, amount);
+                
+                const workPos = findWorkPosition(state, task.x, task.y, colTile.x, colTile.y, canWorkDiagonally(task), colonist);
+                if (!workPos || !sendColonistTo(state, colonist, workPos.x, workPos.y)) {
+                    clearTask(colonist, true);
+                }
+                return;
+            }
+        }
+    }
+    
+    // Next stop: another stockpile, or the site itself once everything's delivered
+    const from = getColonistTile(colonist);
+    const source = reserveMaterialRun(state, task, colonist, from.x, from.y);
+    const dest = source ? { x: source.x, y: source.y } : findTaskDestination(state, task, from.x, from.y, colonist);
+    if (!dest || !sendColonistTo(state, colonist, dest.x, dest.y)) {
+        clearTask(colonist, true);
+    }
+}
+
+/**
+ * Processes crafting work at a station.
+ */
+function processCraftWork(state, colonist) {
+    const task = colonist.task;
+    const recipe = RECIPES[task.recipeId];
+    const station = FURNITURE[recipe?.station];
+    
+    // Station may have been torn down while the inputs were fetched
+    if (!station || state.tiles[task.y][task.x] !== TILE[station.tile]) {
+        cancelTask(state, task);
+        return;
+    }
+    
+    colonist.workProgress++;
+    
+    if (colonist.workProgress >= recipe.workTime) {
+        completeCraft(state, colonist);
+    }
+}
+
+/**
+ * Completes a craft task - drops the output beside the station for hauling.
+ */
+function completeCraft(state, colonist) {
+    const task = colonist.task;
+    const recipe = RECIPES[task.recipeId];
+    const colTile = getColonistTile(colonist);
+    
+    dropOnGround(state, recipe.output.type, recipe.output.amount, colTile.x, colTile.y);
+    
+    recordBillProgress(state, task.billId);
+    recordTaskCompleted(state, task.type);
     removeTask(state, task);
     clearTask(colonist);
 }
 
 /**
  * Gets the work time for a task type.
+ * Crafts take their recipe's time, so pass the task for those.
  */
-export function getWorkTime(taskType) {
+export function getWorkTime(taskType, task = null) {
     switch (taskType) {
+        case 'craft': return RECIPES[task?.recipeId]?.workTime || 0;
         case 'gather': return CONFIG.gatherTime;
         case 'build': return CONFIG.buildTime;
         case 'furniture': return CONFIG.buildTime;
         case 'demolish': return CONFIG.demolishTime;
+        case 'eat': return CONFIG.eatTime;
+        case 'sow': return CONFIG.sowTime;
+        case 'harvest': return CONFIG.harvestTime;
         default: return 0;
     }
 }
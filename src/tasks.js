@@ -2,166 +2,237 @@
 // TASK SYSTEM
 // ============================================
 
-import { CONFIG, BUILDINGS, FURNITURE } from './config.js';
-import { TILE, isGatherable, isBuildable, getResourceType, isDemolishable } from './tiles.js';
-import { getTile, canAfford, payCost } from './state.js';
+import { CONFIG, BUILDINGS, FURNITURE, RECIPES, TASK_PRIORITIES } from './config.js';
+import { TILE, isGatherable, isBuildable, getResourceType, isDemolishable, isFurniture } from './tiles.js';
+import { getTile, setTile, canAfford } from './state.js';
 import { isInBounds, tileToPixel, pixelToTile } from './map.js';
-import { isIdle, isCarrying, setTarget, setPath, getColonistTile } from './colonist.js';
-import { findPath, findWorkPosition } from './pathfinding.js';
-import { findAvailableStockpile, getGroundStacks } from './items.js';
+import { isIdle, isCarrying, clearCarrying, setTarget, setPath, getColonistTile, clearTask } from './colonist.js';
+import { findPath, findWorkPosition, getWalkableAdjacent } from './pathfinding.js';
+import { canReach, canReachAdjacent } from './regions.js';
+import { findAvailableStockpile, hasAvailableStockpile, getGroundStacks, getStockpileStacks, shouldRelocate, dropOnGround } from './items.js';
+import { createNeedTask } from './needs.js';
+import { createMaterials, getMissingMaterials, findMaterialSource, getMaterialSources, refundDeliveredMaterials, reserveMaterialRun } from './materials.js';
+import { measureWalkDistances, getApproachTiles } from './distances.js';
+import { reserve, getFreeAmount, pruneReservations } from './reservations.js';
+import { getTaskWorkPriority } from './work.js';
+import { isFreeWorkSpot } from './occupancy.js';
 
 let nextTaskId = 0;
 
 /**
- * Creates a gather task for a resource tile.
- * Returns null if invalid position or not gatherable.
+ * Gets the id the next created task will receive.
  */
-export function createGatherTask(state, tileX, tileY) {
-    if (!isInBounds(tileX, tileY)) return null;
+export function getNextTaskId() {
+    return nextTaskId;
+}
+
+/**
+ * Sets the next task id (used when restoring a save).
+ */
+export function setNextTaskId(id) {
+    nextTaskId = id;
+}
+
+/**
+ * Checks if a tile can be designated for gathering.
+ */
+export function canGatherAt(state, tileX, tileY) {
+    if (!isInBounds(tileX, tileY)) return false;
     
     const tile = getTile(state, tileX, tileY);
-    if (!isGatherable(tile)) return null;
+    if (!isGatherable(tile)) return false;
     
     // Check if task already exists for this tile
-    const exists = state.tasks.some(t => 
+    return !state.tasks.some(t => 
         t.type === 'gather' && t.x === tileX && t.y === tileY
     );
-    if (exists) return null;
+}
+
+/**
+ * Creates a gather task for a resource tile.
+ * Returns null if invalid position or not gatherable.
+ */
+export function createGatherTask(state, tileX, tileY) {
+    if (!canGatherAt(state, tileX, tileY)) return null;
     
+    const tile = getTile(state, tileX, tileY);
     return {
         id: nextTaskId++,
         type: 'gather',
         x: tileX,
         y: tileY,
         resource: getResourceType(tile),
+        priority: 'normal',
         assigned: null,
     };
 }
 
 /**
- * Creates a demolish task.
- * Returns null if invalid position or not demolishable.
+ * Checks if a tile can be designated for demolition.
  */
-export function createDemolishTask(state, tileX, tileY) {
-    if (!isInBounds(tileX, tileY)) return null;
+export function canDemolishAt(state, tileX, tileY) {
+    if (!isInBounds(tileX, tileY)) return false;
     
     const tile = getTile(state, tileX, tileY);
-    if (!isDemolishable(tile)) return null;
+    if (!isDemolishable(tile)) return false;
     
     // Check if task already exists for this tile
-    const exists = state.tasks.some(t => 
+    return !state.tasks.some(t => 
         t.type === 'demolish' && t.x === tileX && t.y === tileY
     );
-    if (exists) return null;
+}
+
+/**
+ * Creates a demolish task.
+ * Returns null if invalid position or not demolishable.
+ */
+export function createDemolishTask(state, tileX, tileY) {
+    if (!canDemolishAt(state, tileX, tileY)) return null;
     
     return {
         id: nextTaskId++,
         type: 'demolish',
         x: tileX,
         y: tileY,
+        priority: 'normal',
         assigned: null,
     };
 }
 
 /**
- * Creates a build task.
- * Returns null if invalid position, can't build there, or can't afford.
- * If placing a door over a wall, returns an array of [demolishTask, buildTask].
+ * Checks if a build or furniture task is already queued on a tile.
  */
-export function createBuildTask(state, tileX, tileY, buildType) {
-    if (!isInBounds(tileX, tileY)) return null;
-    
-    const tile = getTile(state, tileX, tileY);
-    const building = BUILDINGS[buildType];
-    if (!building) return null;
+export function hasConstructionAt(state, tileX, tileY) {
+    return state.tasks.some(t =>
+        (t.type === 'build' || t.type === 'furniture') && t.x === tileX && t.y === tileY
+    );
+}
+
+/**
+ * Checks if a structure can be replaced by another: it has to be something
+ * demolishable, and not the same thing being built again.
+ */
+function isReplaceable(tile, newTile) {
+    return isDemolishable(tile) && tile !== newTile;
+}
+
+/**
+ * Gets the demolish task that clears a tile for a replacement,
+ * reusing one that's already queued there.
+ */
+function getClearingTask(state, tileX, tileY) {
+    const existing = state.tasks.find(t => t.type === 'demolish' && t.x === tileX && t.y === tileY);
+    if (existing) return existing;
     
-    // Special case: placing door over wall
-    if (buildType === 'door' && tile === TILE.WALL) {
-        // Check and deduct cost
-        if (!payCost(state, building.cost)) return null;
-        
-        // Create demolish task first
-        const demolishTask = {
-            id: nextTaskId++,
-            type: 'demolish',
-            x: tileX,
-            y: tileY,
-            assigned: null,
-        };
-        
-        // Create pending build task (will be added after demolish completes)
-        const buildTask = {
-            id: nextTaskId++,
-            type: 'build',
-            x: tileX,
-            y: tileY,
-            buildType,
-            assigned: null,
-            pendingAfterDemolish: true,  // Flag to not add to queue yet
-        };
-        
-        // Store the follow-up build task on the demolish task
-        demolishTask.followUpTask = buildTask;
-        
-        return demolishTask;
+    const task = createDemolishTask(state, tileX, tileY);
+    addTask(state, task);
+    return task;
+}
+
+/**
+ * Checks if a build or furniture task has to wait for its tile to be cleared first.
+ */
+function needsClearing(state, task) {
+    const tile = getTile(state, task.x, task.y);
+    if (task.type === 'build') return !isBuildable(tile);
+    if (task.type === 'furniture') return isFurniture(tile);
+    return false;
+}
+
+/**
+ * Chains a task after the demolition of whatever stands on its tile, if needed.
+ * The demolish task is queued right away; the task waits on it as a prerequisite.
+ */
+function withClearing(state, task) {
+    delete task.prerequisites;
+    if (needsClearing(state, task)) {
+        task.prerequisites = [getClearingTask(state, task.x, task.y).id];
     }
+    return task;
+}
+
+/**
+ * Checks if a building can be placed on a tile (ignoring cost).
+ * Existing structures (a wall on a floor, a door on a wall...) are replaced.
+ */
+export function canBuildAt(state, tileX, tileY, buildType) {
+    // Demolish and cancel are build modes without a tile to place
+    const building = BUILDINGS[buildType];
+    if (!isInBounds(tileX, tileY) || !building?.tile) return false;
+    if (hasConstructionAt(state, tileX, tileY)) return false;
     
-    // Normal build - tile must be buildable
-    if (!isBuildable(tile)) return null;
+    const tile = getTile(state, tileX, tileY);
+    return isBuildable(tile) || isReplaceable(tile, TILE[building.tile]);
+}
+
+/**
+ * Creates a build task - a blueprint that colonists bring materials to before building.
+ * Returns null if invalid position or can't build there.
+ * Building over an existing structure also queues its demolition as a prerequisite.
+ */
+export function createBuildTask(state, tileX, tileY, buildType) {
+    if (!canBuildAt(state, tileX, tileY, buildType)) return null;
     
-    // Check and deduct cost
-    if (!payCost(state, building.cost)) return null;
+    const building = BUILDINGS[buildType];
     
-    return {
+    return withClearing(state, {
         id: nextTaskId++,
         type: 'build',
         x: tileX,
         y: tileY,
         buildType,
+        materials: createMaterials(building.cost),
+        priority: 'normal',
         assigned: null,
-    };
+    });
 }
 
 /**
- * Creates a furniture task.
- * Returns null if invalid position, wrong room type, or can't afford.
+ * Checks if furniture can be placed on a tile in a room (ignoring cost).
  */
-export function createFurnitureTask(state, tileX, tileY, furnitureId, room) {
-    if (!isInBounds(tileX, tileY)) return null;
+export function canPlaceFurnitureAt(state, tileX, tileY, furnitureId, room) {
+    if (!isInBounds(tileX, tileY) || !room) return false;
     
     const tile = getTile(state, tileX, tileY);
     const furniture = FURNITURE[furnitureId];
-    if (!furniture) return null;
+    if (!furniture) return false;
     
     // Check if furniture matches room type
     if (furniture.roomType && room.type !== furniture.roomType) {
-        return null;
+        return false;
     }
     
-    // Furniture can only be placed on floor tiles
-    if (tile !== TILE.FLOOR && tile !== TILE.GRASS) return null;
+    // Furniture goes on floor tiles, or replaces other furniture
+    const onFloor = tile === TILE.FLOOR || tile === TILE.GRASS;
+    if (!onFloor && !(isFurniture(tile) && tile !== TILE[furniture.tile])) return false;
     
-    // Check if task already exists for this tile
-    const exists = state.tasks.some(t => 
-        (t.type === 'build' || t.type === 'furniture') && t.x === tileX && t.y === tileY
-    );
-    if (exists) return null;
+    return !hasConstructionAt(state, tileX, tileY);
+}
+
+/**
+ * Creates a furniture task - a blueprint that colonists bring materials to before building.
+ * Returns null if invalid position or wrong room type.
+ */
+export function createFurnitureTask(state, tileX, tileY, furnitureId, room) {
+    if (!canPlaceFurnitureAt(state, tileX, tileY, furnitureId, room)) return null;
     
-    // Check and deduct cost
-    if (!payCost(state, furniture.cost)) return null;
+    const furniture = FURNITURE[furnitureId];
     
-    return {
+    return withClearing(state, {
         id: nextTaskId++,
         type: 'furniture',
         x: tileX,
         y: tileY,
         furnitureId,
+        materials: createMaterials(furniture.cost),
+        priority: 'normal',
         assigned: null,
-    };
+    });
 }
 
 /**
- * Creates a pickup task for a ground item stack.
+ * Creates a pickup task for an item stack: one on the ground,
+ * or one being moved to a better stockpile zone.
  */
 export function createPickupTask(state, stack) {
     // Check if task already exists for this stack
@@ -177,6 +248,67 @@ export function createPickupTask(state, stack) {
         y: stack.y,
         stackId: stack.id,
         resource: stack.type,
+        priority: 'normal',
+        assigned: null,
+    };
+}
+
+/**
+ * Creates a sow task for an unsown farm plot.
+ */
+export function createSowTask(state, farm) {
+    const exists = state.tasks.some(t =>
+        t.type === 'sow' && t.x === farm.x && t.y === farm.y
+    );
+    if (exists) return null;
+    
+    return {
+        id: nextTaskId++,
+        type: 'sow',
+        x: farm.x,
+        y: farm.y,
+        priority: 'normal',
+        assigned: null,
+    };
+}
+
+/**
+ * Creates a harvest task for a mature crop.
+ */
+export function createHarvestTask(state, farm) {
+    const exists = state.tasks.some(t =>
+        t.type === 'harvest' && t.x === farm.x && t.y === farm.y
+    );
+    if (exists) return null;
+    
+    return {
+        id: nextTaskId++,
+        type: 'harvest',
+        x: farm.x,
+        y: farm.y,
+        resource: 'food',
+        priority: 'normal',
+        assigned: null,
+    };
+}
+
+/**
+ * Creates a craft task for a bill.
+ * The recipe inputs are fetched from stockpiles before work starts.
+ */
+export function createCraftTask(state, bill) {
+    const recipe = RECIPES[bill.recipeId];
+    if (!recipe) return null;
+    
+    return {
+        id: nextTaskId++,
+        type: 'craft',
+        x: bill.x,
+        y: bill.y,
+        billId: bill.id,
+        recipeId: bill.recipeId,
+        materials: createMaterials(recipe.inputs),
+        priority: 'normal',
         assigned: null,
     };
 }
@@ -207,20 +339,188 @@ export function createHaulTask(state, colonist) {
     };
 }
 
+/**
+ * Works out where a colonist has to walk to start on a task.
+ * Tasks still missing materials start with a trip to the closest stockpile holding them.
+ * @param {object} [worker] - the colonist going, whose own work spot doesn't count as taken
+ * Returns {x, y} or null if there's nowhere to go.
+ */
+export function findTaskDestination(state, task, fromX, fromY, worker = null) {
+    const missing = Object.keys(getMissingMaterials(task));
+    if (missing.length > 0) {
+        const source = findMaterialSource(state, missing[0], fromX, fromY);
+        return source ? { x: source.x, y: source.y } : null;
+    }
+    
+    if (isWorkedOnTile(task)) {
+        return { x: task.x, y: task.y };
+    }
+    
+    // Everything else is worked from an adjacent tile
+    return findWorkPosition(state, task.x, task.y, fromX, fromY, canWorkDiagonally(task), worker);
+}
+
+/**
+ * Checks if a task can be worked from a diagonal tile.
+ * Work on the tile itself (chopping, mining, building) can; crafting
+ * at a station and getting into bed are done from beside it.
+ */
+export function canWorkDiagonally(task) {
+    return task.type === 'gather' || task.type === 'build' ||
+           task.type === 'demolish' || task.type === 'furniture';
+}
+
+/**
+ * Checks if a task is done standing on its own tile: pickup and farm tasks.
+ */
+function isWorkedOnTile(task) {
+    return task.type === 'pickup' || task.type === 'sow' || task.type === 'harvest';
+}
+
+/**
+ * Checks if a colonist at (fromX, fromY) can get to where a task is worked from.
+ * Region lookups only - no path search.
+ */
+export function canReachTask(state, task, fromX, fromY) {
+    if (isWorkedOnTile(task)) {
+        return canReach(state, fromX, fromY, task.x, task.y);
+    }
+    return canReachAdjacent(state, fromX, fromY, task.x, task.y);
+}
+
+/**
+ * Checks if no colonist can get to a task (e.g. a tree walled in).
+ */
+export function isTaskUnreachable(state, task) {
+    return !state.colonists.some(colonist => {
+        const tile = getColonistTile(colonist);
+        return canReachTask(state, task, tile.x, tile.y);
+    });
+}
+
+/**
+ * Sets a task's priority.
+ */
+export function setTaskPriority(task, priority) {
+    if (!TASK_PRIORITIES[priority]) return;
+    task.priority = priority;
+}
+
+/**
+ * Checks if a task is still waiting on a prerequisite (e.g. the demolition
+ * clearing its tile). A prerequisite is done once it has left the queue.
+ */
+export function isTaskBlocked(state, task) {
+    if (!task.prerequisites) return false;
+    return task.prerequisites.some(id => state.tasks.some(t => t.id === id));
+}
+
+/**
+ * Gets the queued tasks waiting on a task.
+ */
+export function getDependentTasks(state, task) {
+    return state.tasks.filter(t => t.prerequisites?.includes(task.id));
+}
+
+/**
+ * Compares how soon a colonist should get to two tasks:
+ * by task priority first, then by the colonist's work priority.
+ * Negative if a comes first, 0 if they're equally urgent.
+ */
+function compareUrgency(colonist, a, b) {
+    const rankA = TASK_PRIORITIES[a.priority]?.rank ?? TASK_PRIORITIES.normal.rank;
+    const rankB = TASK_PRIORITIES[b.priority]?.rank ?? TASK_PRIORITIES.normal.rank;
+    if (rankA !== rankB) return rankA - rankB;
+    return getTaskWorkPriority(colonist, a) - getTaskWorkPriority(colonist, b);
+}
+
+/**
+ * Gets the unassigned, unblocked tasks a colonist is willing to do, most urgent first.
+ */
+function getWorkCandidates(state, colonist) {
+    return state.tasks
+        .filter(task => task.assigned === null && getTaskWorkPriority(colonist, task) !== null)
+        .filter(task => !isTaskBlocked(state, task))
+        .sort((a, b) => compareUrgency(colonist, a, b));
+}
+
+/**
+ * Gets the tiles a colonist could walk to first to start on a task: stockpiles
+ * holding missing materials, the task's tile, or the free tiles it's worked from.
+ */
+function getTaskApproach(state, task, colonist) {
+    const missing = Object.keys(getMissingMaterials(task));
+    if (missing.length > 0) {
+        return getMaterialSources(state, missing[0]).flatMap(stack => getApproachTiles(state, stack.x, stack.y));
+    }
+    if (isWorkedOnTile(task)) {
+        return [{ x: task.x, y: task.y }];
+    }
+    return getWalkableAdjacent(state, task.x, task.y, canWorkDiagonally(task))
+        .filter(adj => isFreeWorkSpot(state, adj.x, adj.y, colonist));
+}
+
+/**
+ * Picks the task a colonist should take next.
+ * Among the most urgent tasks they can reach, the one with the shortest walk wins.
+ * Walks to a whole group of equally urgent tasks are measured in one pass.
+ * Returns { task, path } or null.
+ */
+function chooseTask(state, colonist, from) {
+    const candidates = getWorkCandidates(state, colonist)
+        .filter(task => canReachTask(state, task, from.x, from.y));
+    
+    let start = 0;
+    while (start < candidates.length) {
+        // Candidates are sorted, so equally urgent ones sit together
+        let end = start + 1;
+        while (end < candidates.length && compareUrgency(colonist, candidates[start], candidates[end]) === 0) {
+            end++;
+        }
+        const group = candidates.slice(start, end);
+        
+        const distances = measureWalkDistances(state, [from], group.map(task => getTaskApproach(state, task, colonist)));
+        const byDistance = group
+            .map((task, i) => ({ task, dist: distances[i] }))
+            .filter(c => c.dist < Infinity)
+            .sort((a, b) => a.dist - b.dist);
+        
+        for (const { task } of byDistance) {
+            const dest = findTaskDestination(state, task, from.x, from.y, colonist);
+            if (!dest) continue;  // No free work position or materials
+            
+            const path = findPath(state, from.x, from.y, dest.x, dest.y);
+            if (path && path.length > 0) {
+                return { task, path };
+            }
+        }
+        
+        // Nothing this urgent can be reached - try the next group
+        start = end;
+    }
+    return null;
+}
+
 /**
  * Assigns pending tasks to idle colonists.
+ * Each colonist only takes work types enabled in their work table,
+ * and picks by task priority, then work priority, then walking distance.
  */
 export function assignTasks(state) {
+    pruneReservations(state);
+    
     // First, create pickup tasks for unhauled ground stacks
     for (const stack of getGroundStacks(state)) {
+        // Units reserved for a task are fetched by whoever reserved them
+        if (getFreeAmount(state, stack) <= 0) continue;
+        
         // Check if there's already a pickup task for this stack
         const hasPickupTask = state.tasks.some(t => 
             t.type === 'pickup' && t.stackId === stack.id
         );
         if (!hasPickupTask) {
             // Check if there's an available stockpile for this type
-            const stockpile = findAvailableStockpile(state, stack.type, stack.x, stack.y);
-            if (stockpile) {
+            if (hasAvailableStockpile(state, stack.type, stack.x, stack.y)) {
                 const pickupTask = createPickupTask(state, stack);
                 if (pickupTask) {
                     state.tasks.push(pickupTask);
@@ -229,6 +529,13 @@ export function assignTasks(state) {
         }
     }
     
+    // Move stored stacks up to better zones, or out of zones that no longer take them
+    for (const stack of getStockpileStacks(state)) {
+        if (getFreeAmount(state, stack) > 0 && shouldRelocate(state, stack)) {
+            addTask(state, createPickupTask(state, stack));
+        }
+    }
+    
     for (const colonist of state.colonists) {
         if (!isIdle(colonist)) continue;
         
@@ -241,50 +548,51 @@ export function assignTasks(state) {
                 // Find path to stockpile (can walk onto stockpile)
                 const path = findPath(state, colonistTile.x, colonistTile.y, haulTask.x, haulTask.y);
                 if (path && path.length > 0) {
+                    colonist.wandering = false;
                     colonist.task = haulTask;
                     setPath(colonist, path);
                     // Set first waypoint
                     const firstTarget = tileToPixel(path[0].x, path[0].y);
                     setTarget(colonist, firstTarget.x, firstTarget.y);
                 }
+            } else {
+                // Every stockpile is full - set the load down until there's room again
+                dropOnGround(state, colonist.carrying.type, colonist.carrying.amount, colonistTile.x, colonistTile.y);
+                clearCarrying(colonist);
             }
             continue;
         }
         
-        // Find first unassigned task with valid path
-        for (const task of state.tasks) {
-            if (task.assigned === null) {
-                let targetX = task.x;
-                let targetY = task.y;
-                let needsAdjacent = true;
-                
-                // Pickup tasks go directly to the stack location
-                if (task.type === 'pickup') {
-                    needsAdjacent = false;
-                }
-                
-                if (needsAdjacent) {
-                    // Find work position (adjacent to task target)
-                    const workPos = findWorkPosition(state, task.x, task.y, colonistTile.x, colonistTile.y);
-                    if (!workPos) continue;  // No accessible work position
-                    targetX = workPos.x;
-                    targetY = workPos.y;
-                }
-                
-                // Find path to work position
-                const path = findPath(state, colonistTile.x, colonistTile.y, targetX, targetY);
-                if (!path || path.length === 0) continue;  // No path
-                
-                // Assign task
-                task.assigned = colonist.id;
-                colonist.task = task;
-                setPath(colonist, path);
-                
-                // Set first waypoint
-                const firstTarget = tileToPixel(path[0].x, path[0].y);
-                setTarget(colonist, firstTarget.x, firstTarget.y);
-                break;
+        // Needs (eating, sleeping) come before any work
+        const needTask = createNeedTask(state, colonist);
+        if (needTask) {
+            needTask.task.id = nextTaskId++;
+            colonist.wandering = false;
+            colonist.task = needTask.task;
+            if (needTask.stack) {
+                reserve(state, needTask.task, colonist, needTask.stack, 1);
             }
+            setPath(colonist, needTask.path);
+            const firstTarget = tileToPixel(needTask.path[0].x, needTask.path[0].y);
+            setTarget(colonist, firstTarget.x, firstTarget.y);
+            continue;
+        }
+        
+        // Take the most urgent reachable task, closest first
+        const choice = chooseTask(state, colonist, colonistTile);
+        if (choice) {
+            const { task, path } = choice;
+            colonist.wandering = false;
+            task.assigned = colonist.id;
+            colonist.task = task;
+            setPath(colonist, path);
+            
+            // Claim the first load of materials so nobody else takes it
+            reserveMaterialRun(state, task, colonist, colonistTile.x, colonistTile.y);
+            
+            // Set first waypoint
+            const firstTarget = tileToPixel(path[0].x, path[0].y);
+            setTarget(colonist, firstTarget.x, firstTarget.y);
         }
     }
 }
@@ -299,6 +607,55 @@ export function removeTask(state, task) {
     }
 }
 
+/**
+ * Cancels a task: stops whoever is working on it, puts back the tile
+ * it replaced (e.g. a foundation) and refunds delivered materials.
+ * Materials still being carried to the site get hauled back as usual.
+ * Tasks waiting on it as a prerequisite are cancelled too.
+ */
+export function cancelTask(state, task) {
+    const colonist = state.colonists.find(c => c.task === task);
+    if (colonist) {
+        clearTask(colonist);
+    }
+    
+    // Restore the site if work had started on it
+    if (task.originalTile !== undefined) {
+        setTile(state, task.x, task.y, task.originalTile);
+    }
+    
+    // Leftovers that don't fit a stockpile go next to the site, where they can be reached
+    const dropAt = findWorkPosition(state, task.x, task.y, task.x, task.y) || task;
+    refundDeliveredMaterials(state, task, dropAt.x, dropAt.y);
+    
+    removeTask(state, task);
+    
+    for (const dependent of getDependentTasks(state, task)) {
+        cancelTask(state, dependent);
+    }
+}
+
+/**
+ * Cancels every queued task on a tile.
+ * Returns the number of tasks cancelled.
+ */
+export function cancelTasksAt(state, tileX, tileY) {
+    const tasks = state.tasks.filter(t => t.x === tileX && t.y === tileY);
+    for (const task of tasks) {
+        cancelTask(state, task);
+    }
+    return tasks.length;
+}
+
+/**
+ * Puts a removed task back in the queue (e.g. on redo), chained after
+ * the demolition of whatever stands on its tile by now.
+ */
+export function requeueTask(state, task) {
+    task.assigned = null;
+    addTask(state, withClearing(state, task));
+}
+
 /**
  * Adds a task to the queue.
  */
@@ -16,9 +16,12 @@ export const TILE = {
     BED: 10,
     WORKBENCH: 11,
     CRATE: 12,
+    BERRY_BUSH: 13,
+    FARM: 14,       // Tilled soil - crops are tracked in state.farms
 };
 
 // Tile metadata - extensible for future tile types
+// moveCost: time to cross a walkable tile relative to grass (default 1) - lower is faster
 export const TILE_DATA = {
     [TILE.GRASS]: {
         name: 'Grass',
@@ -55,7 +58,10 @@ export const TILE_DATA = {
         name: 'Floor',
         color: '#a08060',
         walkable: true,
+        moveCost: 0.8,
         buildable: false,
+        demolishable: true,
+        demolishedTile: TILE.GRASS,
     },
     [TILE.STOCKPILE]: {
         name: 'Stockpile',
@@ -63,23 +69,28 @@ export const TILE_DATA = {
         walkable: true,
         buildable: false,
         isStockpile: true,
+        demolishable: true,
+        demolishedTile: TILE.GRASS,
     },
     [TILE.STUMP]: {
         name: 'Stump',
         color: '#4a3a2a',
         walkable: true,
+        moveCost: 1.5,
         buildable: true,
     },
     [TILE.RUBBLE]: {
         name: 'Rubble',
         color: '#6a6a7a',
         walkable: true,
+        moveCost: 1.5,
         buildable: true,
     },
     [TILE.DOOR]: {
         name: 'Door',
         color: '#6a4a2a',
         walkable: true,
+        moveCost: 1.5,  // Colonists stop to open it
         buildable: false,
         isDoor: true,
         demolishable: true,
@@ -97,6 +108,8 @@ export const TILE_DATA = {
         buildable: false,
         furniture: true,
         roomType: 'house',
+        demolishable: true,
+        demolishedTile: TILE.FLOOR,
     },
     [TILE.WORKBENCH]: {
         name: 'Workbench',
@@ -105,6 +118,8 @@ export const TILE_DATA = {
         buildable: false,
         furniture: true,
         roomType: 'carpenter',
+        demolishable: true,
+        demolishedTile: TILE.FLOOR,
     },
     [TILE.CRATE]: {
         name: 'Crate',
@@ -114,6 +129,27 @@ export const TILE_DATA = {
         furniture: true,
         roomType: 'storage',
         isStorage: true,
+        storageStacks: 3,  // Holds three stacks' worth, a plain stockpile tile one
+        demolishable: true,
+        demolishedTile: TILE.FLOOR,
+    },
+    [TILE.BERRY_BUSH]: {
+        name: 'Berry Bush',
+        color: '#3a6a3a',
+        walkable: false,
+        buildable: false,
+        gatherable: true,
+        resource: 'food',
+        depletedTile: TILE.GRASS,
+    },
+    [TILE.FARM]: {
+        name: 'Farm',
+        color: '#5a4030',
+        walkable: true,
+        buildable: false,
+        isFarm: true,
+        demolishable: true,
+        demolishedTile: TILE.GRASS,
     },
 };
 
@@ -141,3 +177,18 @@ export function getDepletedTile(tileType) {
 export function isDemolishable(tileType) {
     return getTileData(tileType).demolishable === true;
 }
+
+export function getDemolishedTile(tileType) {
+    return getTileData(tileType).demolishedTile ?? TILE.RUBBLE;
+}
+
+export function isFurniture(tileType) {
+    return getTileData(tileType).furniture === true;
+}
+
+export function getMoveCost(tileType) {
+    return getTileData(tileType).moveCost ?? 1;
+}
+
+// Cheapest tile to cross, so path estimates never overshoot
+export const MIN_MOVE_COST = Math.min(1, ...Object.values(TILE_DATA).map(data => data.moveCost ?? 1));
@@ -2,31 +2,70 @@
 // UI SYSTEM (DOM Updates)
 // ============================================
 
-import { BUILDINGS, ROOM_TYPES, FURNITURE } from './config.js';
+import { CONFIG, BUILDINGS, ROOM_TYPES, FURNITURE, RESOURCES, RECIPES, BILL_MODES, WORK_TYPES, ZONE_PRIORITIES } from './config.js';
 import { canAfford, getResources } from './state.js';
-import { getStatusText, clearTask } from './colonist.js';
+import { getStatusText } from './colonist.js';
 import { getRoomInfo, setRoomType } from './rooms.js';
-import { removeTask } from './tasks.js';
+import { cancelTask } from './tasks.js';
+import { isNeedTask } from './needs.js';
+import { formatTime, isNight } from './clock.js';
+import { parseSeed } from './random.js';
+import { isStockpileFull } from './items.js';
+import { getReservedTotals } from './reservations.js';
+import { getZone, getZoneTiles, getZoneTotals, isAllowedIn, renameZone, setZonePriority, setZoneFilter } from './zones.js';
+import { createBill, addBill, removeBill, getBillsAt, getRecipesFor, getStationsInRoom, getBillStock } from './production.js';
+import { cycleWorkSetting, setWorkEnabled } from './work.js';
+import { saveToSlot, loadFromSlot, deleteSlot, listSlots, exportSave, importSave } from './save.js';
 
 // Cache DOM elements
 let elements = null;
 
+// Last HTML written to the room and zone panels, zone list and work table, so they're only replaced when they change
+let roomInfoHtml = '';
+let zoneInfoHtml = '';
+let zoneListHtml = '';
+let workTableHtml = '';
+
 /**
  * Initializes UI element cache.
  */
 export function initUI() {
     elements = {
-        woodCount: document.getElementById('wood-count'),
-        stoneCount: document.getElementById('stone-count'),
+        resourceCounts: Object.fromEntries(
+            Object.keys(RESOURCES).map(type => [type, document.getElementById(`${type}-count`)])
+        ),
         colonistList: document.getElementById('colonist-list'),
+        workTable: document.getElementById('work-table'),
         status: document.getElementById('status'),
         roomInfo: document.getElementById('room-info'),
+        zoneInfo: document.getElementById('zone-info'),
+        zoneList: document.getElementById('zone-list'),
+        speedControls: document.getElementById('speed-controls'),
+        priorityControls: document.getElementById('priority-controls'),
+        clock: document.getElementById('clock'),
+        clockIcon: document.getElementById('clock-icon'),
+        seedValue: document.getElementById('seed-value'),
+        seedInput: document.getElementById('seed-input'),
+        newMapBtn: document.getElementById('btn-new-map'),
+        save: {
+            name: document.getElementById('save-name'),
+            slots: document.getElementById('save-slots'),
+            saveBtn: document.getElementById('btn-save'),
+            loadBtn: document.getElementById('btn-load'),
+            deleteBtn: document.getElementById('btn-delete-save'),
+            exportBtn: document.getElementById('btn-export'),
+            importBtn: document.getElementById('btn-import'),
+            importFile: document.getElementById('import-file'),
+            status: document.getElementById('save-status'),
+        },
         buildButtons: {
             wall: document.getElementById('btn-wall'),
             floor: document.getElementById('btn-floor'),
             door: document.getElementById('btn-door'),
             stockpile: document.getElementById('btn-stockpile'),
+            farm: document.getElementById('btn-farm'),
             demolish: document.getElementById('btn-demolish'),
+            cancel: document.getElementById('btn-cancel'),
         },
     };
 }
@@ -38,30 +77,83 @@ export function updateUI(state) {
     if (!elements) initUI();
     
     updateResourceDisplay(state);
+    updateSeedDisplay(state);
+    updateClockDisplay(state);
+    updateSpeedButtons(state);
+    updatePriorityButtons(state);
     updateBuildButtons(state);
     updateColonistList(state);
+    updateWorkTable(state);
     updateRoomInfo(state);
+    updateZoneInfo(state);
+    updateZoneList(state);
     updateStatusBar(state);
 }
 
 /**
- * Updates resource counters.
+ * Updates resource counters: the stockpiled total, and how much of it
+ * is reserved for tasks and still free when anything is.
  */
 function updateResourceDisplay(state) {
     const resources = getResources(state);
-    elements.woodCount.textContent = resources.wood;
-    elements.stoneCount.textContent = resources.stone;
+    const reserved = getReservedTotals(state);
+    for (const [type, el] of Object.entries(elements.resourceCounts)) {
+        const held = reserved[type] || 0;
+        const html = held > 0
+            ? `<span class="reserved">${held} reserved · ${resources[type] - held} free</span> ${resources[type]}`
+            : `${resources[type]}`;
+        if (el.innerHTML !== html) {
+            el.innerHTML = html;
+        }
+    }
+}
+
+/**
+ * Shows the seed the current map was generated from.
+ */
+function updateSeedDisplay(state) {
+    elements.seedValue.textContent = state.rng.seed;
+}
+
+/**
+ * Updates the colony clock.
+ */
+function updateClockDisplay(state) {
+    elements.clock.textContent = formatTime(state);
+    elements.clockIcon.textContent = isNight(state) ? '🌙' : '☀️';
+}
+
+/**
+ * Highlights the active speed button (or pause when paused).
+ */
+function updateSpeedButtons(state) {
+    for (const btn of elements.speedControls.querySelectorAll('.speed-btn')) {
+        const active = btn.dataset.action === 'pause'
+            ? state.sim.paused
+            : !state.sim.paused && parseInt(btn.dataset.speed, 10) === state.sim.speed;
+        btn.classList.toggle('active', active);
+    }
+}
+
+/**
+ * Highlights the priority given to new designations.
+ */
+function updatePriorityButtons(state) {
+    for (const btn of elements.priorityControls.querySelectorAll('.speed-btn')) {
+        btn.classList.toggle('active', btn.dataset.priority === state.ui.taskPriority);
+    }
 }
 
 /**
  * Updates build button states.
+ * Blueprints can be placed without materials in stock - they're only flagged as short.
  */
 function updateBuildButtons(state) {
     for (const [type, btn] of Object.entries(elements.buildButtons)) {
         const building = BUILDINGS[type];
         const affordable = building ? canAfford(state, building.cost) : true;
         
-        btn.disabled = !affordable;
+        btn.classList.toggle('short', !affordable);
         btn.classList.toggle('active', state.buildMode === type);
     }
 }
@@ -71,17 +163,65 @@ function updateBuildButtons(state) {
  */
 function updateColonistList(state) {
     elements.colonistList.innerHTML = state.colonists.map(colonist => {
-        const hasTask = colonist.task !== null;
+        // Need tasks are personal - only work can be cancelled from here
+        const hasTask = colonist.task !== null && !isNeedTask(colonist.task);
         return `
             <div class="colonist-item">
                 <span>${colonist.name}</span>
                 <span class="colonist-status">${getStatusText(colonist)}</span>
                 ${hasTask ? `<button class="cancel-btn" data-colonist-id="${colonist.id}">✕</button>` : ''}
             </div>
+            <div class="colonist-needs">
+                ${renderNeedBar('🍖', colonist.needs.hunger)}
+                ${renderNeedBar('💤', colonist.needs.rest)}
+            </div>
         `;
     }).join('');
 }
 
+/**
+ * Updates the work table: one row per colonist, one column per work type.
+ */
+function updateWorkTable(state) {
+    if (!elements.workTable) return;
+    
+    const headers = Object.values(WORK_TYPES)
+        .map(workType => `<th class="work-type">${workType.name}</th>`)
+        .join('');
+    
+    const rows = state.colonists.map(colonist => {
+        const cells = Object.keys(WORK_TYPES).map(workType => {
+            const setting = colonist.work[workType];
+            const label = setting.enabled ? setting.priority : '–';
+            const cls = setting.enabled ? `priority-${setting.priority}` : 'disabled';
+            return `
+                <td><button class="work-cell ${cls}" data-colonist-id="${colonist.id}"
+                            data-work-type="${workType}">${label}</button></td>
+            `;
+        }).join('');
+        return `<tr><td class="colonist-name">${colonist.name}</td>${cells}</tr>`;
+    }).join('');
+    
+    const html = `<table><tr><th></th>${headers}</tr>${rows}</table>`;
+    if (html === workTableHtml) return;
+    workTableHtml = html;
+    elements.workTable.innerHTML = html;
+}
+
+/**
+ * Builds the HTML for a single need meter.
+ */
+function renderNeedBar(icon, value) {
+    const percent = Math.round(value * 100);
+    const level = value < CONFIG.needCritical ? 'critical' : value < CONFIG.needThreshold ? 'low' : 'ok';
+    return `
+        <span class="need-bar" title="${percent}%">
+            ${icon}
+            <span class="need-track"><span class="need-fill ${level}" style="width: ${percent}%"></span></span>
+        </span>
+    `;
+}
+
 /**
  * Updates room info panel.
  */
@@ -110,13 +250,12 @@ function updateRoomInfo(state) {
                 const furniture = FURNITURE[furnitureId];
                 if (furniture) {
                     const costStr = Object.entries(furniture.cost)
-                        .map(([r, amt]) => `${amt} ${r === 'wood' ? '🪵' : '🪨'}`)
+                        .map(([r, amt]) => `${amt} ${RESOURCES[r].icon}`)
                         .join(' ') || 'Free';
                     const affordable = canAfford(state, furniture.cost);
                     furnitureButtons += `
-                        <button class="build-btn furniture-btn" 
-                                data-furniture="${furnitureId}"
-                                ${affordable ? '' : 'disabled'}>
+                        <button class="build-btn furniture-btn ${affordable ? '' : 'short'}"
+                                data-furniture="${furnitureId}">
                             <span>${furniture.name}</span>
                             <span class="cost">${costStr}</span>
                         </button>
@@ -126,7 +265,7 @@ function updateRoomInfo(state) {
             furnitureButtons += '</div>';
         }
         
-        elements.roomInfo.innerHTML = `
+        const html = `
             <h2>🏠 Room Selected</h2>
             <div class="room-stats">
                 <div class="room-stat">
@@ -145,20 +284,231 @@ function updateRoomInfo(state) {
                 </div>
             </div>
             ${furnitureButtons}
+            ${renderBillsSection(state, room)}
             <p class="room-hint">Click elsewhere to deselect</p>
         `;
+        setRoomInfoHtml(html);
         elements.roomInfo.style.display = 'block';
     } else {
-        elements.roomInfo.innerHTML = '';
+        setRoomInfoHtml('');
         elements.roomInfo.style.display = 'none';
     }
 }
 
+/**
+ * Replaces the room panel contents only if they changed,
+ * so open dropdowns and hovered buttons aren't reset every frame.
+ */
+function setRoomInfoHtml(html) {
+    if (html === roomInfoHtml) return;
+    roomInfoHtml = html;
+    elements.roomInfo.innerHTML = html;
+}
+
+/**
+ * Formats resource totals as icons and amounts, e.g. "🪵 30 🪨 12".
+ */
+function formatTotals(totals) {
+    const parts = Object.entries(totals).map(([type, amount]) => `${RESOURCES[type].icon} ${amount}`);
+    return parts.join(' ') || 'Empty';
+}
+
+/**
+ * Updates the zone panel: name, priority, contents and the resource filter.
+ */
+function updateZoneInfo(state) {
+    if (!elements.zoneInfo) return;
+    
+    const zone = getZone(state, state.ui.selectedZone);
+    if (!zone) {
+        setZoneInfoHtml('');
+        elements.zoneInfo.style.display = 'none';
+        return;
+    }
+    
+    const tiles = getZoneTiles(state, zone);
+    const full = tiles.filter(sp => isStockpileFull(state, sp.x, sp.y)).length;
+    
+    let priorityOptions = '';
+    for (const [priority, data] of Object.entries(ZONE_PRIORITIES)) {
+        const selected = priority === zone.priority ? 'selected' : '';
+        priorityOptions += `<option value="${priority}" ${selected}>${data.name}</option>`;
+    }
+    
+    let filterButtons = '';
+    for (const [type, resource] of Object.entries(RESOURCES)) {
+        const allowed = isAllowedIn(zone, type);
+        filterButtons += `
+            <button class="filter-btn ${allowed ? 'allowed' : 'blocked'}" data-resource="${type}"
+                    title="${allowed ? 'Accepted - click to refuse' : 'Refused - click to accept'}">
+                ${resource.icon} ${resource.name}
+            </button>
+        `;
+    }
+    
+    const html = `
+        <h2>📦 Zone Selected</h2>
+        <div class="room-stats">
+            <div class="room-stat">
+                <span class="label">Name</span>
+                <input type="text" id="zone-name" class="zone-name-input" value="${escapeHtml(zone.name)}">
+            </div>
+            <div class="room-stat">
+                <span class="label">Priority</span>
+                <select id="zone-priority-select" class="room-type-select">
+                    ${priorityOptions}
+                </select>
+            </div>
+            <div class="room-stat">
+                <span class="label">Tiles</span>
+                <span class="value">${tiles.length}${full > 0 ? ` (${full} full)` : ''}</span>
+            </div>
+            <div class="room-stat">
+                <span class="label">Holds</span>
+                <span class="value">${formatTotals(getZoneTotals(state, zone))}</span>
+            </div>
+        </div>
+        <div class="filter-section">
+            <h3>Accepts</h3>
+            <div class="filter-buttons">${filterButtons}</div>
+        </div>
+        <p class="room-hint">Click a resource to accept or refuse it, elsewhere to deselect</p>
+    `;
+    setZoneInfoHtml(html);
+    elements.zoneInfo.style.display = 'block';
+}
+
+/**
+ * Replaces the zone panel contents only if they changed,
+ * so the name field isn't reset while it's being typed in.
+ */
+function setZoneInfoHtml(html) {
+    if (html === zoneInfoHtml) return;
+    zoneInfoHtml = html;
+    elements.zoneInfo.innerHTML = html;
+}
+
+/**
+ * Updates the stockpile zone list with what each zone holds.
+ */
+function updateZoneList(state) {
+    if (!elements.zoneList) return;
+    
+    let html = '';
+    for (const zone of state.zones) {
+        const selected = zone.id === state.ui.selectedZone ? 'selected' : '';
+        html += `
+            <div class="zone-item ${selected}" data-zone-id="${zone.id}">
+                <span class="zone-name">${escapeHtml(zone.name)}</span>
+                <span class="zone-priority">${ZONE_PRIORITIES[zone.priority].name}</span>
+                <span class="zone-totals">${formatTotals(getZoneTotals(state, zone))}</span>
+            </div>
+        `;
+    }
+    
+    if (html !== zoneListHtml) {
+        zoneListHtml = html;
+        elements.zoneList.innerHTML = html || '<div class="zone-empty">No stockpiles</div>';
+    }
+}
+
+/**
+ * Escapes text for use in HTML (zone and save slot names are typed by the player).
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the production bills section for the crafting stations in a room.
+ */
+function renderBillsSection(state, room) {
+    const stations = getStationsInRoom(state, room);
+    if (stations.length === 0) return '';
+    
+    const draft = state.ui.billDraft;
+    let html = '<div class="bills-section"><h3>📋 Bills</h3>';
+    
+    for (const station of stations) {
+        const recipes = getRecipesFor(station.furnitureId);
+        const draftRecipe = recipes.some(([id]) => id === draft.recipeId) ? draft.recipeId : recipes[0][0];
+        
+        html += `<div class="station-name">${FURNITURE[station.furnitureId].name} (${station.x}, ${station.y})</div>`;
+        
+        for (const bill of getBillsAt(state, station.x, station.y)) {
+            const recipe = RECIPES[bill.recipeId];
+            html += `
+                <div class="bill-item ${bill.suspended ? 'suspended' : ''}">
+                    <span class="bill-name">${recipe.name}</span>
+                    <span class="bill-progress">${describeBillProgress(state, bill)}</span>
+                    ${bill.mode === 'forever' ? '' : `
+                        <button class="bill-btn" data-bill-id="${bill.id}" data-bill-action="less">−</button>
+                        <button class="bill-btn" data-bill-id="${bill.id}" data-bill-action="more">+</button>
+                    `}
+                    <button class="bill-btn" data-bill-id="${bill.id}" data-bill-action="suspend"
+                            title="${bill.suspended ? 'Resume' : 'Suspend'}">${bill.suspended ? '▶' : '⏸'}</button>
+                    <button class="bill-btn cancel-btn" data-bill-id="${bill.id}" data-bill-action="delete">✕</button>
+                </div>
+            `;
+        }
+        
+        const recipeOptions = recipes.map(([id, recipe]) => {
+            const inputs = Object.entries(recipe.inputs)
+                .map(([r, amt]) => `${amt} ${RESOURCES[r].icon}`)
+                .join(' ');
+            const selected = id === draftRecipe ? 'selected' : '';
+            return `<option value="${id}" ${selected}>${recipe.name} (${inputs})</option>`;
+        }).join('');
+        
+        const modeOptions = Object.entries(BILL_MODES).map(([id, mode]) => {
+            const selected = id === draft.mode ? 'selected' : '';
+            return `<option value="${id}" ${selected}>${mode.name}</option>`;
+        }).join('');
+        
+        html += `
+            <div class="bill-form">
+                <select class="bill-recipe-select">${recipeOptions}</select>
+                <select class="bill-mode-select">${modeOptions}</select>
+                ${draft.mode === 'forever' ? '' : `
+                    <button class="bill-btn" data-draft-action="less">−</button>
+                    <span class="bill-target">${draft.target}</span>
+                    <button class="bill-btn" data-draft-action="more">+</button>
+                `}
+                <button class="bill-btn add-bill-btn" data-x="${station.x}" data-y="${station.y}"
+                        data-recipe="${draftRecipe}">Add</button>
+            </div>
+        `;
+    }
+    
+    return html + '</div>';
+}
+
+/**
+ * Describes how far along a bill is, e.g. "3/10", "12/20 in stock" or "∞".
+ */
+function describeBillProgress(state, bill) {
+    switch (bill.mode) {
+        case 'count':
+            return `${bill.done}/${bill.target}`;
+        case 'until': {
+            const stock = getBillStock(state, bill);
+            return `${stock}/${bill.target} in stock`;
+        }
+        default:
+            return '∞';
+    }
+}
+
 /**
  * Updates status bar.
  */
 function updateStatusBar(state) {
-    if (state.buildMode) {
+    const notice = state.ui.notice;
+    if (notice && Date.now() < notice.until) {
+        elements.status.textContent = notice.text;
+    } else if (state.sim.paused) {
+        elements.status.textContent = 'Paused';
+    } else if (state.buildMode) {
         elements.status.textContent = `Build Mode: ${state.buildMode}`;
     } else if (state.tasks.length > 0) {
         elements.status.textContent = `${state.tasks.length} task(s) queued`;
@@ -190,27 +540,65 @@ export function setupColonistControls(state) {
         if (e.target.classList.contains('cancel-btn')) {
             const colonistId = parseInt(e.target.dataset.colonistId, 10);
             const colonist = state.colonists.find(c => c.id === colonistId);
-            if (colonist && colonist.task) {
-                const task = colonist.task;
-                clearTask(colonist, false);  // Clear colonist's task reference
-                removeTask(state, task);     // Remove task from queue entirely
+            if (colonist && colonist.task && !isNeedTask(colonist.task)) {
+                // Refunds materials and restores the site, same as cancelling on the map
+                cancelTask(state, colonist.task);
             }
         }
     });
 }
 
 /**
- * Sets up room control handlers (room type, furniture).
+ * Sets up work table handlers.
+ * Click cycles a cell's priority, right-click toggles it on/off.
  */
-export function setupRoomControls(state, onFurnitureBuild) {
+export function setupWorkControls(state) {
+    if (!elements) initUI();
+    
+    const getCell = (e) => {
+        const cell = e.target.closest('.work-cell');
+        if (!cell) return null;
+        const colonistId = parseInt(cell.dataset.colonistId, 10);
+        const colonist = state.colonists.find(c => c.id === colonistId);
+        return colonist ? { colonist, workType: cell.dataset.workType } : null;
+    };
+    
+    elements.workTable.addEventListener('click', (e) => {
+        const cell = getCell(e);
+        if (cell) {
+            cycleWorkSetting(cell.colonist, cell.workType);
+        }
+    });
+    
+    elements.workTable.addEventListener('contextmenu', (e) => {
+        const cell = getCell(e);
+        if (cell) {
+            e.preventDefault();
+            const setting = cell.colonist.work[cell.workType];
+            setWorkEnabled(cell.colonist, cell.workType, !setting.enabled);
+        }
+    });
+}
+
+/**
+ * Sets up room control handlers (room type, furniture, bills).
+ * Room type changes go through onRoomTypeChange(room, type) if given, so they can be undone.
+ */
+export function setupRoomControls(state, onFurnitureBuild, onRoomTypeChange) {
     if (!elements) initUI();
     
     elements.roomInfo.addEventListener('change', (e) => {
         if (e.target.id === 'room-type-select') {
             const room = state.ui.selectedRoom;
-            if (room) {
+            if (room && onRoomTypeChange) {
+                onRoomTypeChange(room, e.target.value);
+            } else if (room) {
                 setRoomType(room, e.target.value);
             }
+        } else if (e.target.classList.contains('bill-recipe-select')) {
+            state.ui.billDraft.recipeId = e.target.value;
+        } else if (e.target.classList.contains('bill-mode-select')) {
+            state.ui.billDraft.mode = e.target.value;
         }
     });
     
@@ -221,6 +609,211 @@ export function setupRoomControls(state, onFurnitureBuild) {
             if (furnitureId && onFurnitureBuild) {
                 onFurnitureBuild(furnitureId);
             }
+            return;
+        }
+        
+        const billBtn = e.target.closest('.bill-btn');
+        if (billBtn) {
+            handleBillButton(state, billBtn);
+        }
+    });
+}
+
+/**
+ * Sets up the zone list and zone panel (name, priority, filter).
+ */
+export function setupZoneControls(state) {
+    if (!elements) initUI();
+    
+    elements.zoneList.addEventListener('click', (e) => {
+        const item = e.target.closest('.zone-item');
+        if (item) {
+            const zoneId = parseInt(item.dataset.zoneId, 10);
+            state.ui.selectedZone = state.ui.selectedZone === zoneId ? null : zoneId;
+            state.ui.selectedRoom = null;
+        }
+    });
+    
+    elements.zoneInfo.addEventListener('click', (e) => {
+        const btn = e.target.closest('.filter-btn');
+        const zone = getZone(state, state.ui.selectedZone);
+        if (btn && zone) {
+            setZoneFilter(zone, btn.dataset.resource, !isAllowedIn(zone, btn.dataset.resource));
+        }
+    });
+    
+    elements.zoneInfo.addEventListener('change', (e) => {
+        const zone = getZone(state, state.ui.selectedZone);
+        if (!zone) return;
+        
+        if (e.target.id === 'zone-name') {
+            renameZone(zone, e.target.value);
+        } else if (e.target.id === 'zone-priority-select') {
+            setZonePriority(zone, e.target.value);
+        }
+    });
+}
+
+/**
+ * Handles the bill list and new-bill form buttons in the room panel.
+ */
+function handleBillButton(state, btn) {
+    const draft = state.ui.billDraft;
+    
+    if (btn.classList.contains('add-bill-btn')) {
+        const x = parseInt(btn.dataset.x, 10);
+        const y = parseInt(btn.dataset.y, 10);
+        addBill(state, createBill(btn.dataset.recipe, x, y, draft.mode, draft.target));
+        return;
+    }
+    
+    if (btn.dataset.draftAction) {
+        const step = btn.dataset.draftAction === 'more' ? 1 : -1;
+        draft.target = Math.max(1, draft.target + step);
+        return;
+    }
+    
+    const billId = parseInt(btn.dataset.billId, 10);
+    const bill = state.bills.find(b => b.id === billId);
+    if (!bill) return;
+    
+    switch (btn.dataset.billAction) {
+        case 'more':
+            bill.target++;
+            break;
+        case 'less':
+            bill.target = Math.max(1, bill.target - 1);
+            break;
+        case 'suspend':
+            bill.suspended = !bill.suspended;
+            break;
+        case 'delete':
+            removeBill(state, bill);
+            break;
+    }
+}
+
+/**
+ * Sets up task priority buttons (urgent/normal/low for new designations).
+ */
+export function setupPriorityControls(state) {
+    if (!elements) initUI();
+    
+    elements.priorityControls.addEventListener('click', (e) => {
+        const btn = e.target.closest('.speed-btn');
+        if (btn) {
+            state.ui.taskPriority = btn.dataset.priority;
+        }
+    });
+}
+
+/**
+ * Sets up speed control handlers (pause, 1x/2x/3x).
+ */
+export function setupSpeedControls(state, callbacks) {
+    if (!elements) initUI();
+    
+    elements.speedControls.addEventListener('click', (e) => {
+        const btn = e.target.closest('.speed-btn');
+        if (!btn) return;
+        
+        if (btn.dataset.action === 'pause') {
+            callbacks.onTogglePause();
+        } else {
+            callbacks.onSpeedChange(parseInt(btn.dataset.speed, 10));
         }
     });
 }
+
+/**
+ * Refreshes the save slot dropdown from localStorage.
+ */
+function refreshSaveSlots() {
+    const { slots, loadBtn, deleteBtn } = elements.save;
+    const saved = listSlots();
+    
+    slots.innerHTML = saved.map(slot => {
+        const when = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'unknown date';
+        const name = escapeHtml(slot.name);
+        return `<option value="${name}">${name} (${when})</option>`;
+    }).join('') || '<option value="">No saves</option>';
+    
+    loadBtn.disabled = saved.length === 0;
+    deleteBtn.disabled = saved.length === 0;
+}
+
+/**
+ * Shows a short message under the save controls.
+ */
+function setSaveStatus(text) {
+    elements.save.status.textContent = text;
+}
+
+/**
+ * Sets up save/load handlers (slots, file export/import).
+ */
+export function setupSaveControls(state) {
+    if (!elements) initUI();
+    
+    const save = elements.save;
+    refreshSaveSlots();
+    
+    save.saveBtn.addEventListener('click', () => {
+        const name = save.name.value.trim();
+        if (saveToSlot(state, name)) {
+            setSaveStatus(`Saved "${name}"`);
+            refreshSaveSlots();
+            save.slots.value = name;
+        } else {
+            setSaveStatus(name ? 'Save failed' : 'Enter a slot name');
+        }
+    });
+    
+    save.loadBtn.addEventListener('click', () => {
+        const name = save.slots.value;
+        setSaveStatus(loadFromSlot(state, name) ? `Loaded "${name}"` : `Could not load "${name}"`);
+    });
+    
+    save.deleteBtn.addEventListener('click', () => {
+        const name = save.slots.value;
+        if (!name) return;
+        deleteSlot(name);
+        setSaveStatus(`Deleted "${name}"`);
+        refreshSaveSlots();
+    });
+    
+    save.exportBtn.addEventListener('click', () => {
+        const blob = new Blob([exportSave(state)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${save.name.value.trim() || 'colony'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+    
+    save.importBtn.addEventListener('click', () => {
+        save.importFile.click();
+    });
+    
+    save.importFile.addEventListener('change', async () => {
+        const file = save.importFile.files[0];
+        if (!file) return;
+        const text = await file.text();
+        setSaveStatus(importSave(state, text) ? `Imported "${file.name}"` : 'Import failed: not a valid save');
+        save.importFile.value = '';
+    });
+}
+
+/**
+ * Sets up the new map handler.
+ * A blank seed input starts a map with a random seed.
+ */
+export function setupSeedControls(state, onNewMap) {
+    if (!elements) initUI();
+    
+    elements.newMapBtn.addEventListener('click', () => {
+        onNewMap(parseSeed(elements.seedInput.value));
+        elements.seedInput.value = '';
+    });
+}
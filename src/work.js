@@ -0,0 +1,77 @@
+// ============================================
+// WORK ASSIGNMENTS
+// Which kinds of work each colonist does, and in what order
+// ============================================
+
+import { CONFIG, WORK_TYPES } from './config.js';
+
+/**
+ * Creates a work table with every work type enabled at the default priority.
+ * @returns {{ [workType: string]: { enabled: boolean, priority: number } }}
+ */
+export function createWorkSettings() {
+    const work = {};
+    for (const workType of Object.keys(WORK_TYPES)) {
+        work[workType] = { enabled: true, priority: CONFIG.defaultWorkPriority };
+    }
+    return work;
+}
+
+/**
+ * Gets the work type a task type belongs to, or null if it's not assignable work.
+ */
+export function getWorkType(taskType) {
+    for (const [workType, data] of Object.entries(WORK_TYPES)) {
+        if (data.tasks.includes(taskType)) return workType;
+    }
+    return null;
+}
+
+/**
+ * Gets a colonist's priority for a task (1 = first).
+ * Returns null if the colonist doesn't do that kind of work.
+ */
+export function getTaskWorkPriority(colonist, task) {
+    const workType = getWorkType(task.type);
+    const setting = workType ? colonist.work[workType] : null;
+    if (!setting || !setting.enabled) return null;
+    return setting.priority;
+}
+
+/**
+ * Turns a work type on or off for a colonist. The priority is kept for when it's re-enabled.
+ */
+export function setWorkEnabled(colonist, workType, enabled) {
+    const setting = colonist.work[workType];
+    if (setting) {
+        setting.enabled = enabled;
+    }
+}
+
+/**
+ * Sets a colonist's priority for a work type, clamped to 1..CONFIG.workPriorities.
+ */
+export function setWorkPriority(colonist, workType, priority) {
+    const setting = colonist.work[workType];
+    if (setting) {
+        setting.priority = Math.min(CONFIG.workPriorities, Math.max(1, Math.round(priority)));
+    }
+}
+
+/**
+ * Steps a work cell the way clicking it in the Work panel does:
+ * 1 -> 2 -> ... -> last priority -> disabled -> 1.
+ */
+export function cycleWorkSetting(colonist, workType) {
+    const setting = colonist.work[workType];
+    if (!setting) return;
+    
+    if (!setting.enabled) {
+        setting.enabled = true;
+        setting.priority = 1;
+    } else if (setting.priority >= CONFIG.workPriorities) {
+        setting.enabled = false;
+    } else {
+        setting.priority++;
+    }
+}
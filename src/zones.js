@@ -0,0 +1,153 @@
+// ============================================
+// STOCKPILE ZONES
+// Named groups of stockpile tiles sharing a priority and a filter
+// ============================================
+
+import { RESOURCES, ZONE_PRIORITIES } from './config.js';
+
+let nextZoneId = 0;
+
+/**
+ * Gets the id the next created zone will receive.
+ */
+export function getNextZoneId() {
+    return nextZoneId;
+}
+
+/**
+ * Sets the next zone id (used when restoring a save).
+ */
+export function setNextZoneId(id) {
+    nextZoneId = id;
+}
+
+/**
+ * Creates a stockpile filter allowing every resource.
+ * Keyed by resource type (see RESOURCES), true if the zone takes it.
+ */
+export function createStockpileFilter() {
+    const filter = {};
+    for (const type of Object.keys(RESOURCES)) {
+        filter[type] = true;
+    }
+    return filter;
+}
+
+/**
+ * Creates a zone with the default priority, accepting everything.
+ */
+export function createZone() {
+    const id = nextZoneId++;
+    return {
+        id,
+        name: `Stockpile ${id + 1}`,
+        priority: 'normal',  // See ZONE_PRIORITIES
+        filter: createStockpileFilter(),
+    };
+}
+
+/**
+ * Finds a zone by id.
+ */
+export function getZone(state, zoneId) {
+    return state.zones.find(z => z.id === zoneId) || null;
+}
+
+/**
+ * Gets the zone a stockpile tile belongs to.
+ */
+export function getStockpileZone(state, stockpile) {
+    return getZone(state, stockpile.zoneId);
+}
+
+/**
+ * Gets the zone for a new stockpile tile: the zone of a stockpile next to it,
+ * or a new zone if it doesn't touch one.
+ * Returns the zone id.
+ */
+export function joinOrCreateZone(state, x, y) {
+    const neighbor = state.stockpiles.find(sp =>
+        Math.abs(sp.x - x) + Math.abs(sp.y - y) === 1 && getZone(state, sp.zoneId)
+    );
+    if (neighbor) return neighbor.zoneId;
+    
+    const zone = createZone();
+    state.zones.push(zone);
+    return zone.id;
+}
+
+/**
+ * Removes zones that no longer have any tiles.
+ */
+export function removeEmptyZones(state) {
+    const used = new Set(state.stockpiles.map(sp => sp.zoneId));
+    state.zones = state.zones.filter(z => used.has(z.id));
+    
+    if (state.ui.selectedZone !== null && !used.has(state.ui.selectedZone)) {
+        state.ui.selectedZone = null;
+    }
+}
+
+/**
+ * Gets the stockpile tiles of a zone.
+ */
+export function getZoneTiles(state, zone) {
+    return state.stockpiles.filter(sp => sp.zoneId === zone.id);
+}
+
+/**
+ * Gets a zone's priority rank (lower is filled first).
+ */
+export function getZoneRank(zone) {
+    return ZONE_PRIORITIES[zone?.priority]?.rank ?? ZONE_PRIORITIES.normal.rank;
+}
+
+/**
+ * Checks if a zone's filter allows a resource type.
+ */
+export function isAllowedIn(zone, resourceType) {
+    return zone?.filter[resourceType] !== false;
+}
+
+/**
+ * Totals what a zone holds, keyed by resource type.
+ */
+export function getZoneTotals(state, zone) {
+    const totals = {};
+    const tiles = new Set(getZoneTiles(state, zone).map(sp => `${sp.x},${sp.y}`));
+    
+    for (const stack of state.itemStacks) {
+        if (stack.location !== 'stockpile' || !tiles.has(`${stack.x},${stack.y}`)) continue;
+        totals[stack.type] = (totals[stack.type] || 0) + stack.amount;
+    }
+    return totals;
+}
+
+/**
+ * Renames a zone. Blank names are ignored.
+ */
+export function renameZone(zone, name) {
+    const trimmed = name.trim();
+    if (trimmed) {
+        zone.name = trimmed;
+    }
+}
+
+/**
+ * Sets a zone's priority.
+ */
+export function setZonePriority(zone, priority) {
+    if (ZONE_PRIORITIES[priority]) {
+        zone.priority = priority;
+    }
+}
+
+/**
+ * Allows or disallows a resource type in a zone.
+ * Stock already stored there is moved out to a zone that takes it.
+ */
+export function setZoneFilter(zone, resourceType, allowed) {
+    if (RESOURCES[resourceType]) {
+        zone.filter[resourceType] = allowed;
+    }
+}
@@ -0,0 +1,107 @@
+// ============================================
+// PATHFINDING BENCHMARK
+//
+// Usage:
+//   node tools/benchmark.js [--script scenarios/benchmark-256.json] [--paths 20] [--ticks 1800]
+//
+// Times path requests on the scenario's map (every colonist asks for
+// --paths routes to random tiles), then times the scenario itself.
+// --ticks overrides the scenario's length.
+// Prints the timings as JSON.
+// Needs Node 18 or later (package.json marks the sources as ES modules).
+// ============================================
+
+import { readFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { CONFIG } from '../src/config.js';
+import { createHeadlessGame, runScenario } from '../src/headless.js';
+import { getColonistTile } from '../src/colonist.js';
+import { findPath } from '../src/pathfinding.js';
+import { randomInt } from '../src/random.js';
+
+const DEFAULT_SCRIPT = 'scenarios/benchmark-256.json';
+const DEFAULT_PATHS = 20;  // Path requests per colonist
+
+/**
+ * Parses --name value pairs from the command line.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Rounds a duration to hundredths of a millisecond.
+ */
+function round(ms) {
+    return Number(ms.toFixed(2));
+}
+
+/**
+ * Has every colonist request paths to random tiles on the scenario's map.
+ */
+function benchmarkPaths(scenario, perColonist) {
+    const state = createHeadlessGame(scenario.seed, { ...scenario.map, colonists: scenario.colonists });
+    let found = 0;
+    let longest = 0;
+    
+    const start = performance.now();
+    for (let i = 0; i < perColonist; i++) {
+        for (const colonist of state.colonists) {
+            const from = getColonistTile(colonist);
+            const toX = randomInt(state, CONFIG.mapWidth);
+            const toY = randomInt(state, CONFIG.mapHeight);
+            const path = findPath(state, from.x, from.y, toX, toY);
+            if (path) {
+                found++;
+                longest = Math.max(longest, path.length);
+            }
+        }
+    }
+    const elapsed = performance.now() - start;
+    const requests = perColonist * state.colonists.length;
+    
+    return {
+        requests,
+        found,
+        longest,
+        totalMs: round(elapsed),
+        msPerPath: round(elapsed / requests),
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const scenario = JSON.parse(readFileSync(args.script || DEFAULT_SCRIPT, 'utf8'));
+    const perColonist = args.paths !== undefined ? parseInt(args.paths, 10) : DEFAULT_PATHS;
+    if (args.ticks !== undefined) {
+        scenario.ticks = parseInt(args.ticks, 10);
+    }
+    
+    const paths = benchmarkPaths(scenario, perColonist);
+    
+    const start = performance.now();
+    const result = runScenario(scenario);
+    const elapsed = performance.now() - start;
+    
+    console.log(JSON.stringify({
+        map: `${CONFIG.mapWidth}x${CONFIG.mapHeight}`,
+        colonists: result.colonists.length,
+        paths,
+        simulation: {
+            ticks: result.ticks,
+            totalMs: round(elapsed),
+            msPerTick: round(elapsed / Math.max(1, result.ticks)),
+            tasksCompleted: result.tasksCompleted,
+        },
+    }, null, 2));
+}
+
+main();
@@ -0,0 +1,57 @@
+// ============================================
+// HEADLESS SIMULATION CLI
+//
+// Usage:
+//   node tools/simulate.js [--script scenarios/starter.json] [--seed 42] [--ticks 3600]
+//
+// Runs the colony without a browser and prints stats as JSON.
+// --seed and --ticks override the values in the script.
+// Needs Node 18 or later (package.json marks the sources as ES modules).
+// ============================================
+
+import { readFileSync } from 'node:fs';
+import { parseSeed, generateSeed } from '../src/random.js';
+import { runScenario } from '../src/headless.js';
+
+const DEFAULT_TICKS = 3600;  // One minute of game time at 1x
+
+/**
+ * Parses --name value pairs from the command line.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    
+    const scenario = args.script
+        ? JSON.parse(readFileSync(args.script, 'utf8'))
+        : { commands: [] };
+    
+    if (args.seed !== undefined) {
+        scenario.seed = parseSeed(args.seed);
+    } else if (typeof scenario.seed !== 'number') {
+        scenario.seed = scenario.seed ? parseSeed(scenario.seed) : generateSeed();
+    }
+    
+    if (args.ticks !== undefined) {
+        scenario.ticks = parseInt(args.ticks, 10);
+    }
+    if (!Number.isInteger(scenario.ticks) || scenario.ticks < 0) {
+        scenario.ticks = DEFAULT_TICKS;
+    }
+    
+    const result = runScenario(scenario);
+    console.log(JSON.stringify(result, null, 2));
+}
+
+main();